@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Analyzes HTML files for the custom-elements they use and emits the URLs of their modules,
+ * either as JSON manifest by file or as `<link rel="modulepreload">` tags for all files.
+ *
+ * Usage: custom-elements-analyze [--format json|links] [--manifest <file>] [--base <url>] [--prefix <prefix>]... <file.html>...
+ */
+import { readFile }  from "node:fs/promises";
+import { parseArgs } from "node:util";
+
+import analyze                from "../src/custom-elements-analyzer.mjs";
+import createManifestResolver from "../src/custom-elements-manifest-resolver.mjs";
+
+const USAGE = 'Usage: custom-elements-analyze [--format json|links] [--manifest <file>] [--base <url>] [--prefix <prefix>]... <file.html>...';
+
+/**
+ * Placeholder base to resolve manifest URLs against without `--base`, as there is no document in Node.
+ * @type {URL}
+ */
+const RELATIVE_BASE = new URL('http://relative.invalid/');
+
+/**
+ * Turns URLs resolved against the placeholder base back into root-relative ones.
+ * @param {CustomElementUrlResolverResult} resolved
+ * @return {CustomElementUrlResolverResult}
+ */
+function relativize( resolved )
+{
+    if (Array.isArray(resolved))                                                { return resolved.map(relativize); }
+    if (resolved && typeof resolved === 'object' && !(resolved instanceof URL)) { return { ...resolved, url: relativize(resolved.url) }; }
+    if (!(resolved instanceof URL) || resolved.origin !== RELATIVE_BASE.origin) { return resolved; }
+
+    return resolved.pathname + resolved.search + resolved.hash;
+}
+
+try
+{
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options         : {
+                              format  : { type: 'string', default: 'json' },
+                              manifest: { type: 'string' },
+                              base    : { type: 'string' },
+                              prefix  : { type: 'string', multiple: true },
+                          },
+    });
+
+    if (!positionals.length || !['json', 'links'].includes(values.format)) { throw new SyntaxError(USAGE); }
+
+    const prefixes = values.prefix || [];
+    const options  = {
+                         baseUrl: values.base,
+                         filter : prefixes.length ? ( name ) => prefixes.some(( prefix ) => name.startsWith(prefix)) : null,
+                     };
+
+    if (values.manifest)
+    {
+        const resolver = createManifestResolver(JSON.parse(await readFile(values.manifest, 'utf8')), { baseUrl: values.base || RELATIVE_BASE });
+
+        options.urlResolver = values.base ? resolver : ( name ) => relativize(resolver(name));
+    }
+
+    const usages = {};
+
+    for (const file of positionals) { usages[file] = await analyze(await readFile(file, 'utf8'), options); }
+
+    if (values.format === 'json')
+    {
+        process.stdout.write(JSON.stringify(usages, null, 2) + '\n');
+    }
+    else
+    {
+        const urls = new Set(Object.values(usages).flat().map(( usage ) => usage.url).filter(( url ) => url !== null));
+
+        for (const url of urls) { process.stdout.write(`<link rel="modulepreload" href="${url.replaceAll('"', '&quot;')}">\n`); }
+    }
+}
+catch ( error )
+{
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+}
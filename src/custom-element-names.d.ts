@@ -0,0 +1,15 @@
+/**
+ * Tests if the `name` is a valid custom-element name.
+ * Loose checking, the default, only requires a leading ASCII lower-case letter and a hyphen,
+ * strict checking implements the `PotentialCustomElementName` grammar of the HTML specification.
+ * @param name   Lower-case name
+ * @param strict `true` for strict checking
+ */
+export function isCustomElementName(name: string|null|undefined, strict?: boolean): boolean;
+
+/**
+ * Resolves the custom-element name of an element by its tag-name and `is`-Attribute, all lower-case.
+ * As specified, the `is`-Attribute of autonomous custom-elements is ignored.
+ * @param isAttr Value of the `is`-Attribute, `null` if there is none
+ */
+export function resolveElementNames(tagName: string, isAttr: string|null): { elementName: string, tagName: string, isAttr?: string };
@@ -0,0 +1,59 @@
+/**
+ * Names reserved by the HTML specification, which are prohibited as custom-element names.
+ * @type {string[]}
+ */
+const INVALID_CUSTOM_ELEMENT_NAMES = [ 'annotation-xml', 'color-profile', 'font-face', 'font-face-src', 'font-face-uri', 'font-face-format', 'font-face-name', 'missing-glyph', ];
+
+/**
+ * The `PotentialCustomElementName` production of https://html.spec.whatwg.org/multipage/custom-elements.html#valid-custom-element-name
+ * @type {RegExp}
+ */
+const POTENTIAL_CUSTOM_ELEMENT_NAME = new RegExp(
+    '^[a-z][PCENChar]*-[PCENChar]*$'.replaceAll(
+        'PCENChar',
+        '\\-.0-9_a-z\\u00B7\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u203F-\\u2040\\u2070-\\u218F'
+      + '\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\u{10000}-\\u{EFFFF}'
+    ),
+    'u'
+);
+
+/**
+ * Tests if the `name` is a valid custom-element name.<br/>
+ * Loose checking, the default, only requires a leading ASCII lower-case letter and a hyphen,
+ * strict checking implements the `PotentialCustomElementName` grammar of the HTML specification.
+ * Both reject the reserved names.
+ * @param {string|null} [name]   Lower-case name
+ * @param {boolean}     [strict] `true` for strict checking
+ * @return {boolean} `true` if the name is valid.
+ */
+export function isCustomElementName( name, strict )
+{
+    if (typeof name !== 'string' || INVALID_CUSTOM_ELEMENT_NAMES.includes(name)) { return false; }
+
+    if (strict) { return POTENTIAL_CUSTOM_ELEMENT_NAME.test(name); }
+
+    const firstChar = name.charCodeAt(0);
+    const A_CHAR    = 'a'.codePointAt(0);
+    const Z_CHAR    = 'z'.codePointAt(0);
+
+    return A_CHAR <= firstChar && firstChar <= Z_CHAR
+        && name.indexOf('-') > 0;
+}
+
+/**
+ * Resolves the custom-element name of an element by its tag-name and `is`-Attribute.<br/>
+ * As specified, the `is`-Attribute of autonomous custom-elements is ignored.
+ * @param {string}      tagName
+ * @param {string|null} isAttr  Value of the `is`-Attribute, `null` if there is none
+ * @return {{ elementName: string, tagName: string, isAttr?: string }} All lower-case
+ */
+export function resolveElementNames( tagName, isAttr )
+{
+    tagName = tagName.toLowerCase();
+
+    if (typeof isAttr !== 'string' || isCustomElementName(tagName)) { return { elementName: tagName, tagName: tagName }; }
+
+    isAttr = isAttr.toLowerCase();
+
+    return { elementName: isAttr, tagName: tagName, isAttr: isAttr };
+}
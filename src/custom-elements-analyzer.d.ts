@@ -0,0 +1,36 @@
+/// <reference path="./custom-elements-lazy-loader.d.ts" />
+
+/**
+ * Analyzes static HTML for the custom-elements it uses, eg. to emit `modulepreload` hints at build time.
+ * HTML strings are analyzed without DOM, so this works in Node as well.
+ * DOM trees are analyzed including template contents and open shadow roots.
+ * @return The custom-elements passing the filter, in order of their first occurrence
+ */
+export default function analyze(source: string|Node, options?: CustomElementsAnalyzerInit): Promise<CustomElementUsage[]>;
+
+interface CustomElementsAnalyzerInit
+{
+    /** Filter to match custom-elements names to be reported. */
+    filter?: CustomElementFilter|string[];
+
+    /** Method to resolve the URL of a custom-element module, defaults to `/js/<name>-element.js` like the loader. */
+    urlResolver?: CustomElementUrlResolver|Map<string,URL|string>;
+
+    /** Base URL to resolve relative URLs against, relative URLs are kept as is without. */
+    baseUrl?: URL|string;
+
+    /** Validate names strictly, see `CustomElementsLazyLoaderInit.strictNames`. */
+    strictNames?: boolean;
+}
+
+interface CustomElementUsage
+{
+    /** Lower-case name of the custom-element. */
+    elementName: string;
+
+    /** URL of the first candidate module, `null` if the resolver provided none. */
+    url: string|null;
+
+    /** Lower-case tag-name of the extended element, if referenced by `is`-Attribute, else `null`. */
+    extends: string|null;
+}
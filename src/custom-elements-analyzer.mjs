@@ -0,0 +1,107 @@
+import { isCustomElementName, resolveElementNames }              from "./custom-element-names.mjs";
+import { resolveDefaultPath, resolveFilter, resolveUrlResolver } from "./custom-elements-options.mjs";
+
+/**
+ * Analyzes static HTML for the custom-elements it uses, eg. to emit `modulepreload` hints at build time.<br/>
+ * HTML strings are analyzed without DOM, so this works in Node as well.
+ * DOM trees are analyzed including template contents and open shadow roots.
+ *
+ * @param {string|Node}                source    HTML or DOM tree to analyze
+ * @param {CustomElementsAnalyzerInit} [options] Options to configure the analysis
+ * @return {Promise<CustomElementUsage[]>} The custom-elements passing the filter, in order of their first occurrence
+ * @throws {TypeError}
+ */
+export default async function analyze( source, options )
+{
+    options = options || {};
+
+    const filter   = resolveFilter(options.filter);
+    const resolved = resolveUrlResolver(options.urlResolver, resolveDefaultPath);
+    const mappings = resolved.mappings;
+    const resolver = mappings ? ( name ) => mappings.get(name) : resolved.urlResolver;
+    const found    = new Map();
+
+    if (typeof source !== 'string' && !(source && typeof source.nodeType === 'number')) { throw new TypeError(`Expecting provided source to be type of string or Node.`); }
+
+    for (const names of typeof source === 'string' ? tokenize(source) : walk(source))
+    {
+        const name = names.elementName;
+
+        if (found.has(name) || !isCustomElementName(name, options.strictNames) || (filter && !filter(name))) { continue; }
+
+        found.set(name, names);
+    }
+
+    return Promise.all([...found.values()].map(async ( names ) =>
+    {
+        let resolved = resolver(names.elementName);
+
+        if (resolved && typeof resolved.then === 'function') { resolved = await resolved; }
+
+        return {
+            elementName: names.elementName,
+            url        : toUrl(resolved, options.baseUrl),
+            extends    : typeof names.isAttr === 'string' ? names.tagName : null,
+        };
+    }));
+}
+
+/**
+ * Returns the URL of the first candidate module.
+ * @param {CustomElementUrlResolverResult} resolved
+ * @param {URL|string}                     [baseUrl] Base to resolve relative URLs against, kept relative without
+ * @return {string|null} `null` if nothing was resolved
+ */
+function toUrl( resolved, baseUrl )
+{
+    if (Array.isArray(resolved))                                                { resolved = resolved[0]; }
+    if (resolved && typeof resolved === 'object' && !(resolved instanceof URL)) { resolved = resolved.url; }
+
+    if (resolved === null || resolved === void 0) { return null; }
+
+    return baseUrl ? new URL(resolved, baseUrl).href : String(resolved);
+}
+
+/**
+ * Iterates the names of all start tags in the `html`.<br/>
+ * Comments, scripts and styles are skipped, as they may contain markup not being part of the DOM.
+ * @param {string} html
+ * @return {Generator<{ elementName: string, tagName: string, isAttr?: string }>}
+ */
+function* tokenize( html )
+{
+    html = html.replace(/<!--[\s\S]*?-->/g, '').replace(/<(script|style)\b(?:[^>"']|"[^"]*"|'[^']*')*>[\s\S]*?<\/\1\s*>/gi, '');
+
+    for (const [ , tagName, attributes ] of html.matchAll(/<([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g))
+    {
+        let isAttr = null;
+
+        for (const [ , name, doubleQuoted, singleQuoted, unquoted ] of attributes.matchAll(/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g))
+        {
+            if (name.toLowerCase() !== 'is') { continue; }
+
+            isAttr = [ doubleQuoted, singleQuoted, unquoted ].find(( value ) => value !== void 0) || '';
+            break;
+        }
+
+        yield resolveElementNames(tagName, isAttr);
+    }
+}
+
+/**
+ * Iterates the names of the `root` and its descendants, including template contents and open shadow roots.
+ * @param {Node} root
+ * @return {Generator<{ elementName: string, tagName: string, isAttr?: string }>}
+ */
+function* walk( root )
+{
+    const walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+
+    for (let element = root.nodeType === Node.ELEMENT_NODE ? root : walker.nextNode(); element; element = walker.nextNode())
+    {
+        yield resolveElementNames(element.localName, element.getAttribute('is'));
+
+        if (element.shadowRoot)                                  { yield* walk(element.shadowRoot); }
+        if (element.localName === 'template' && element.content) { yield* walk(element.content); }
+    }
+}
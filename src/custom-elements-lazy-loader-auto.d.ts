@@ -0,0 +1,40 @@
+/// <reference path="./custom-elements-lazy-loader.d.ts" />
+
+/**
+ * Reads the configuration from the `<script type="application/json" data-custom-elements-lazy-loader>` block,
+ * overridden by the `data`-Attributes of the `script` loading this module.
+ */
+export function readConfiguration(document?: Document, script?: HTMLScriptElement|null): CustomElementsAutoConfig;
+
+/**
+ * Constructs a `CustomElementsLazyLoader` by the `config` and starts observing its root.
+ * Options are sanitized by the constructor and `observe()`, as if passed programmatically.
+ * @param options Further options to construct by, eg. a custom loader
+ */
+export function start(config: CustomElementsAutoConfig, options?: CustomElementsLazyLoaderInit, document?: Document): CustomElementsLazyLoader;
+
+/** The observer started automatically, once this module is loaded. */
+declare const observer: CustomElementsLazyLoader;
+
+export default observer;
+
+interface CustomElementsAutoConfig
+{
+    /** Prefixes of the element-names to handle, all others are ignored. As attribute separated by whitespace. */
+    prefixes?: string[];
+
+    /** URL pattern to resolve module URLs by, `{name}` gets replaced by the element-name. */
+    url?: string;
+
+    /** URL of the JSON manifest to resolve module URLs by, taking precedence over the URL pattern. */
+    manifest?: string;
+
+    /** Selector of the root to observe (_default_: `body`). */
+    root?: string;
+
+    /** Whether to scan the root for existing custom-elements (_default_: `true`). */
+    scan?: boolean;
+
+    /** Whether to observe the root's descendants (_default_: `true`). */
+    subtree?: boolean;
+}
@@ -0,0 +1,120 @@
+import CustomElementsLazyLoader from "./custom-elements-lazy-loader.mjs";
+import createManifestResolver   from "./custom-elements-manifest-resolver.mjs";
+
+/**
+ * Selector of the JSON block providing the configuration.
+ * @type {string}
+ */
+const CONFIG_SELECTOR = 'script[type="application/json"][data-custom-elements-lazy-loader]';
+
+/**
+ * Reads the configuration from the JSON block, overridden by the `data`-Attributes of the `script`.
+ * @param {Document}                 [document] Document to read the JSON block from
+ * @param {HTMLScriptElement|null}   [script]   Script element loading this module
+ * @return {CustomElementsAutoConfig}
+ * @throws {SyntaxError|TypeError}
+ */
+export function readConfiguration( document = globalThis.document, script = findScript(document) )
+{
+    const block  = document.querySelector(CONFIG_SELECTOR);
+    const config = {};
+
+    if (block)
+    {
+        let json;
+
+        try { json = JSON.parse(block.textContent); }
+        catch ( error ) { throw new SyntaxError(`Cannot parse configuration of custom-elements-lazy-loader.`, { cause: error }); }
+
+        if (!json || typeof json !== 'object' || Array.isArray(json)) { throw new TypeError(`Expecting configuration of custom-elements-lazy-loader to be type of object.`); }
+
+        Object.assign(config, json);
+    }
+
+    const data = script ? script.dataset : {};
+
+    if (data.prefixes !== void 0) { config.prefixes = data.prefixes.split(/\s+/).filter(Boolean); }
+    if (data.url      !== void 0) { config.url      = data.url; }
+    if (data.manifest !== void 0) { config.manifest = data.manifest; }
+    if (data.root     !== void 0) { config.root     = data.root; }
+    if (data.scan     !== void 0) { config.scan     = data.scan; }
+    if (data.subtree  !== void 0) { config.subtree  = data.subtree; }
+
+    return sanitize(config);
+}
+
+/**
+ * Constructs a `CustomElementsLazyLoader` by the `config` and starts observing its root.<br/>
+ * Options are sanitized by the constructor and `observe()`, as if passed programmatically.
+ * @param {CustomElementsAutoConfig}     config
+ * @param {CustomElementsLazyLoaderInit} [options]  Further options to construct by, eg. a custom loader
+ * @param {Document}                     [document] Document to query the root in
+ * @return {CustomElementsLazyLoader}
+ * @throws {SyntaxError|TypeError}
+ */
+export function start( config, options, document = globalThis.document )
+{
+    const root     = config.root ? document.querySelector(config.root) : document.body;
+    const prefixes = config.prefixes;
+    const pattern  = config.url;
+
+    if (!root) { throw new TypeError(`Cannot find root '${config.root}' to observe.`); }
+
+    const observer = new CustomElementsLazyLoader({
+        ...options,
+        filter     : prefixes ? ( name ) => prefixes.some(( prefix ) => name.startsWith(prefix)) : options && options.filter,
+        urlResolver: pattern ? ( name ) => new URL(pattern.replaceAll('{name}', name), document.baseURI) : options && options.urlResolver,
+    });
+
+    // The manifest takes precedence, names not listed fall through to the URL pattern.
+    if (config.manifest) { observer.addResolver(createManifestResolver(config.manifest)); }
+
+    observer.observe(root, { scan: config.scan, subtree: config.subtree });
+
+    return observer;
+}
+
+/**
+ * Returns the sanitized configuration.
+ * @param {Object} config
+ * @return {CustomElementsAutoConfig}
+ * @throws {TypeError}
+ */
+function sanitize( config )
+{
+    const prefixes = config.prefixes;
+
+    if (prefixes !== void 0 && !(Array.isArray(prefixes) && prefixes.every(( prefix ) => typeof prefix === 'string'))) { throw new TypeError(`Expecting configured prefixes to be type of string[].`); }
+
+    for (const key of ['url', 'manifest', 'root'])
+    {
+        if (config[key] !== void 0 && typeof config[key] !== 'string') { throw new TypeError(`Expecting configured ${key} to be type of string.`); }
+    }
+
+    return {
+        prefixes: prefixes && prefixes.map(( prefix ) => prefix.toLowerCase()),
+        url     : config.url || void 0,
+        manifest: config.manifest || void 0,
+        root    : config.root || void 0,
+        // Attribute values are strings, so "false" has to be taken literally.
+        scan    : config.scan    !== void 0 ? config.scan    !== false && config.scan    !== 'false' : void 0,
+        subtree : config.subtree !== void 0 ? config.subtree !== false && config.subtree !== 'false' : void 0,
+    };
+}
+
+/**
+ * Returns the script element loading this module.<br/>
+ * As `document.currentScript` is not set for modules, it is found by its URL.
+ * @param {Document} document
+ * @return {HTMLScriptElement|null}
+ */
+function findScript( document )
+{
+    return [...document.querySelectorAll('script[src]')].find(( script ) => script.src === import.meta.url) || null;
+}
+
+/**
+ * The observer started automatically, once this module is loaded.
+ * @type {CustomElementsLazyLoader}
+ */
+export default start(readConfiguration());
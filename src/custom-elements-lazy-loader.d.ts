@@ -2,7 +2,90 @@ interface CustomElementsLazyLoader extends MutationObserver
 {
     new(options: CustomElementsLazyLoaderInit): CustomElementsLazyLoader;
 
+    /**
+     * Starts the observation of the `target` for newly added custom-elements.
+     * Observing a target again with the same options has no effect, different options replace the former ones.
+     */
     observe(target: Node, options?: CustomElementsObserveInit): void;
+
+    /** Stops the observation of all targets, including their shadow roots. */
+    disconnect(): void;
+
+    /**
+     * Stops the observation of a single `target`, including the shadow roots and deferred elements within,
+     * unless they are within another observed target. Pending definitions are not affected.
+     */
+    unobserve(target: Node): void;
+
+    /**
+     * Loads and defines the custom-elements ahead of their occurrence in the DOM.
+     * Names already defined or pending are joined, regardless of the configured filter and loading strategy.
+     * Customized built-in elements need their constructor to provide the tag-name to extend as static `extends`.
+     * @return Resolves once all custom-elements are defined or skipped, rejects if any name is invalid or its definition failed.
+     */
+    preload(names: string|Iterable<string>): Promise<void>;
+
+    /**
+     * Hints the browser to fetch the modules of the custom-elements ahead of their occurrence in the DOM,
+     * by injecting `<link rel="modulepreload">` for their resolved URL.
+     * Names already defined or pending are skipped.
+     * @return Resolves once the hints are injected, rejects if any name is invalid or cannot be resolved.
+     */
+    prefetch(names: string|Iterable<string>): Promise<void>;
+
+    /** Returns a snapshot of all custom-elements handled, in the order they were first seen. */
+    stats(): CustomElementStats[];
+
+    /**
+     * Resolves once all pending definitions are settled, including those triggered meanwhile, eg. by discovery.
+     * Mutations not yet delivered are handled right away, time-sliced scans and rescans due to reconfiguration are awaited,
+     * definitions deferred by the loading strategy are not awaited.
+     */
+    settled(): Promise<void>;
+
+    /**
+     * Reloads the modules of custom-elements defined by this instance, for development only.
+     * As definitions cannot be undone, the prototype and static members of the defined constructors get patched by the reloaded ones.
+     * Instances within the observed targets get `disconnectedCallback()` and `connectedCallback()` called again.
+     * Modules defining their custom-elements themselves get their definition captured, instead of failing to define them again.
+     * Changes to the constructor itself, to private members or to `observedAttributes` do not take effect.
+     * @return Resolves once all custom-elements are reloaded, rejects if any name is invalid or its module failed to load.
+     */
+    reload(names: string|Iterable<string>): Promise<void>;
+
+    /**
+     * Maps the custom-element to the URL of its module, taking precedence over all resolvers.
+     * The observed targets are rescanned, so elements skipped so far get loaded.
+     */
+    addMapping(name: string, url: CustomElementUrlResolverResult): void;
+
+    /**
+     * Removes the mapping of the custom-element, already loaded modules are not affected.
+     * @return `true` if there was a mapping
+     */
+    removeMapping(name: string): boolean;
+
+    /**
+     * Adds a resolver, consulted after the mappings and the resolvers added before, but before the configured `urlResolver`.
+     * Resolvers returning nothing fall through to the next one.
+     * The observed targets are rescanned, so elements skipped so far get loaded.
+     */
+    addResolver(resolver: CustomElementUrlResolver): void;
+
+    /**
+     * Removes a resolver added by `addResolver()`.
+     * @return `true` if the resolver was added before
+     */
+    removeResolver(resolver: CustomElementUrlResolver): boolean;
+
+    /**
+     * Replaces the filter, `null` to handle all custom-elements.
+     * The observed targets are rescanned, so elements skipped so far get loaded.
+     */
+    setFilter(filter: CustomElementFilter|string[]|null): void;
+
+    /** Replaces the loader for all custom-elements not loaded yet, `null` for the default loader. */
+    setLoader(loader: CustomElementLoader|null): void;
 }
 
 interface CustomElementsLazyLoaderInit
@@ -10,11 +93,186 @@ interface CustomElementsLazyLoaderInit
     /** Filter to match custom-elements names to be loaded. */
     filter?: CustomElementFilter|string[];
 
-    /** Method to resolve the URL of a custom-element module for a given name. */
+    /**
+     * Method to resolve the URL of a custom-element module for a given name.
+     * See `custom-elements-manifest-resolver.mjs` to resolve from a manifest.
+     * A `Map` is used as is, so later changes to it and `addMapping()` apply alike.
+     */
     urlResolver?: CustomElementUrlResolver|Map<string,URL|string>;
 
     /** Method to load and register custom-elements by their name */
     loader?: CustomElementLoader;
+
+    /** Called when the module of a custom-element starts loading. */
+    onLoadStart?: CustomElementLoadHook;
+
+    /** Called when a custom-element has been defined. */
+    onDefined?: CustomElementLoadHook;
+
+    /** Called when the definition of a custom-element has been skipped, as its loader provided `null`. */
+    onSkipped?: CustomElementLoadHook;
+
+    /** Called when resolving, loading or defining a custom-element failed. Defaults to logging the error to the console. */
+    onError?: CustomElementLoadHook;
+
+    /** Options to retry failed loads, defaults to a single attempt. */
+    retry?: CustomElementRetryInit;
+
+    /**
+     * When to load custom-elements found in the DOM, defaults to `eager`.
+     * The element's `loading`-Attribute (`eager`, `lazy`, `visible` or `idle`) takes precedence.
+     */
+    loading?: CustomElementLoadingStrategy|CustomElementLoadingStrategyResolver;
+
+    /** Margin around the viewport for the `visible` loading strategy, defaults to `200px`. */
+    rootMargin?: string;
+
+    /** Registry to define custom-elements at, defaults to the global `customElements`. */
+    registry?: CustomElementRegistry;
+
+    /**
+     * Scan the instances of newly defined custom-elements, including their shadow roots and template contents,
+     * for further custom-elements, defaults to `false`.
+     */
+    discover?: boolean;
+
+    /**
+     * Mark the elements found in the DOM by state attributes, `true` for `data-ce-loading` and `data-ce-error`.
+     * The loading state is removed once the definition settled. Defaults to `false`.
+     */
+    states?: boolean|Partial<CustomElementStateAttributes>;
+
+    /**
+     * Content to replace the content of elements with, once their definition failed permanently.
+     * The element's own `<template slot="fallback">` takes precedence.
+     */
+    fallback?: HTMLTemplateElement|CustomElementFallbackRenderer;
+
+    /**
+     * Milliseconds a scan may block the main thread at once, before yielding to the event loop.
+     * Defaults to `0` for synchronous scans.
+     */
+    timeSlice?: number;
+
+    /** Security policy restricting the modules to load. */
+    policy?: CustomElementsLazyLoaderPolicyInit;
+
+    /**
+     * Validate element-names by the `PotentialCustomElementName` grammar of the HTML specification,
+     * instead of just requiring a leading ASCII lower-case letter and a hyphen. Defaults to `false`.
+     */
+    strictNames?: boolean;
+
+    /**
+     * Source of file-change notifications to reload modules by, for development only.
+     * Either an `EventTarget` like `EventSource` or `WebSocket`, or the URL to connect either of them to, depending on the protocol.
+     * The data of `message` events is expected to be the changed module's URL, or JSON providing it as `url` or `file`.
+     * Listened to while observing, connections opened for a URL are closed by `disconnect()`.
+     */
+    hotReload?: EventTarget|URL|string;
+
+    /**
+     * Maximum number of modules loading at once, further loads are queued (_default_: `Infinity`).
+     * Queued loads start by priority: Elements within the viewport first, then those with `fetchpriority="high"`,
+     * then all others and finally those with `fetchpriority="low"`, inferred from all elements found once a slot is free.
+     * Queued loads requested by elements only get cancelled, if all of them were removed from the DOM before their turn.
+     */
+    concurrency?: number;
+
+    /**
+     * Handling of `is`-Attributes set, changed or removed after their element's creation, which has no effect on the element (_default_: `warn`).
+     * - `warn`: Logs a warning to the console.
+     * - `replace`: Replaces the element by a new one of the same tag-name, taking over attributes and children,
+     *   but neither event listeners nor properties.
+     */
+    lateIsAttrs?: 'warn'|'replace';
+
+    /**
+     * Polyfill for customized built-in elements, loaded once before defining the first one, if the browser lacks support.
+     * Either the URL of the module to import, subject to the `policy`, or a function loading it.
+     */
+    polyfill?: URL|string|(() => Promise<any>);
+}
+
+interface CustomElementsLazyLoaderPolicyInit
+{
+    /**
+     * Origins and path prefixes to allow loading from, eg. `https://cdn.domain.tld/js/`.
+     * Path prefixes match whole path segments. Relative entries are resolved against the document. Defaults to allow all.
+     * Resolved URLs not allowed fail with a `SecurityError`.
+     */
+    allow?: Array<URL|string>;
+
+    /**
+     * Subresource integrity hashes by element-name.
+     * Emitted as `<link rel="modulepreload" integrity>` before loading and by `prefetch()`.
+     * Enforcement is best-effort: `import()` only reuses the verified module if it was not loaded before without the hash,
+     * and custom loaders need to check `context.integrity` themselves.
+     */
+    integrity?: Record<string,string>|Map<string,string>|((name: string) => string|void);
+
+    /**
+     * Policy to create the `TrustedScriptURL` passed to the loader,
+     * `true` for a pass-through policy named `custom-elements-lazy-loader`, applied after checking the allowlist.
+     */
+    trustedTypes?: boolean|TrustedTypePolicy;
+}
+
+interface CustomElementStateAttributes
+{
+    /** Attribute set while the definition is pending. */
+    loading: string;
+
+    /** Attribute set once the definition failed. */
+    error: string;
+}
+
+/**
+ * Renders the fallback content of an element, whose definition failed.
+ */
+interface CustomElementFallbackRenderer
+{
+    /**
+     * @param element The element, not upgraded
+     * @param error   The reason of the failure
+     * @return Content replacing the element's content, nothing to keep it.
+     */
+    (element: Element, error: Error): Node|string|null|void;
+}
+
+/**
+ * - `eager`:   Load as soon as the element is found.
+ * - `visible`: Load once the element is near the viewport, `lazy` is accepted as alias.
+ * - `idle`:    Load once the browser is idle.
+ */
+type CustomElementLoadingStrategy = 'eager'|'visible'|'idle';
+
+/**
+ * Resolves the loading strategy for a single element.
+ */
+interface CustomElementLoadingStrategyResolver
+{
+    /**
+     * @param element Element found in the DOM
+     * @param name    Lower-case name of the custom-element.
+     * @return The loading strategy, defaults to `eager` if none.
+     */
+    (element: Element, name: string): CustomElementLoadingStrategy|'lazy'|void;
+}
+
+interface CustomElementRetryInit
+{
+    /** Maximum number of attempts, each trying all resolved URLs in turn. Defaults to `1`. */
+    attempts?: number;
+
+    /** Milliseconds to wait before the second attempt. Defaults to `1000`. */
+    delay?: number;
+
+    /** Factor the delay grows by for each further attempt. Defaults to `2`. */
+    factor?: number;
+
+    /** Milliseconds a single URL may take to load, `0` (_default_) for no timeout. */
+    timeout?: number;
 }
 
 interface CustomElementsObserveInit
@@ -24,6 +282,18 @@ interface CustomElementsObserveInit
 
     /** Set to `true` (_default_) if mutations to not just target, but also target's descendants are to be observed. */
     subtree?: boolean;
+
+    /**
+     * Set to `true` if open shadow roots of the target's descendants are to be scanned and observed, too.
+     * Includes shadow roots attached later on. Requires `subtree`, defaults to `false`.
+     */
+    shadow?: boolean;
+
+    /**
+     * Registry to define the custom-elements found within the target at, overriding the configured registry.
+     * Shadow roots with their own scoped registry use it automatically.
+     */
+    registry?: CustomElementRegistry;
 }
 
 /**
@@ -47,18 +317,152 @@ interface CustomElementUrlResolver
     /**
      * @param name Lower-case name of the custom-element.
      *             The name may reflect the elements' tag-name or value of it's `is`-Attribute.
-     * @return The URL to load the module from.
+     * @return The URL or module to load, or an ordered list of candidates to be tried in turn.
+     *         `null` if the name cannot be resolved. May be provided asynchronously.
      */
-    (name: string): URL|string;
+    (name: string): CustomElementUrlResolverResult|Promise<CustomElementUrlResolverResult>;
+}
+
+type CustomElementUrlResolverResult = URL|string|CustomElementModule|Array<URL|string|CustomElementModule>|null;
+
+/**
+ * Describes the module providing a custom-element.
+ */
+interface CustomElementModule
+{
+    url: URL|string;
+
+    /** Name of the export providing the constructor, if not `default`. */
+    export?: string;
+
+    /** Named exports of all custom-elements provided by the module, to be defined at once. */
+    exports?: Record<string,string>;
+
+    /** Version or hash of the module, eg. to invalidate cached modules by. */
+    version?: string;
+
+    /** Type of the module, to be loaded accordingly by the default loader (_default_: `module`). */
+    type?: CustomElementModuleType;
 }
 
+/**
+ * Types of modules supported by the default loader:
+ * - `module`: ES-Module, imported natively.
+ * - `script`: Classic script defining its custom-elements itself, injected as `<script>`.
+ * - `system`: SystemJS or AMD module, imported by the global module loader.
+ */
+type CustomElementModuleType = 'module'|'script'|'system';
+
 /**
  * Fetches the constructor for a specific custom-element by its tag-name
  * and registers it at the `customElements`-Registry.
  *
- * The default-loader expects the module to export the element's constructor as _default_.
+ * The default-loader expects the module to export the element's constructor as _default_,
+ * or as named export, if provided by the `context`.
+ * Modules providing multiple custom-elements may export `CustomElementDefinitions` instead,
+ * all of them get defined at once.
  */
 interface CustomElementLoader
 {
-    (url: URL): Promise<CustomElementConstructor>;
-}
\ No newline at end of file
+    /**
+     * @param url The URL to load, a `TrustedScriptURL` if the policy enables Trusted Types.
+     */
+    (url: URL|TrustedScriptURL, context: CustomElementLoaderContext): Promise<CustomElementConstructor|CustomElementDefinitions|null>;
+}
+
+interface CustomElementLoaderContext
+{
+    /** Lower-case name of the custom-element to be loaded. */
+    elementName: string;
+
+    /** Name of the export providing the constructor, if resolved as `CustomElementModule`. */
+    export?: string;
+
+    /** Named exports of all custom-elements provided by the module, if resolved as `CustomElementModule`. */
+    exports?: Record<string,string>;
+
+    /** Subresource integrity hash configured by the policy. */
+    integrity?: string;
+
+    /** Version of the module, if resolved as `CustomElementModule`. */
+    version?: string;
+
+    /** Type of the module, if resolved as `CustomElementModule`. */
+    type?: CustomElementModuleType;
+
+    /** Registry the custom-element gets defined at. */
+    registry?: CustomElementRegistry;
+
+    /** Milliseconds a single load may take, if limited by `retry.timeout`. */
+    timeout?: number;
+
+    /** Number of the attempt, starting at `1`, as configured by `retry.attempts`. */
+    attempt?: number;
+}
+
+/**
+ * Custom-element constructors by lower-case element-name, as provided by a single module.
+ * Constructors may provide the tag-name to extend as static `extends`.
+ */
+type CustomElementDefinitions = Record<string,CustomElementConstructor>|Map<string,CustomElementConstructor>;
+
+/**
+ * Receives the lifecycle events of loading and defining custom-elements.
+ */
+interface CustomElementLoadHook
+{
+    (event: CustomElementLoadEvent): void;
+}
+
+/**
+ * Describes a single step in loading and defining a custom-element.
+ */
+interface CustomElementLoadEvent
+{
+    type: 'loadstart'|'defined'|'skipped'|'error';
+
+    /** Lower-case name of the custom-element. */
+    elementName: string;
+
+    /** Lower-case tag-name of the extended element, if the custom-element is referenced by `is`-Attribute. */
+    tagName?: string;
+
+    /** The resolved URL, `null` if resolving failed. */
+    url: URL|null;
+
+    /** Timestamp (`performance.now()`) the definition started. */
+    startTime: number;
+
+    /** Milliseconds elapsed since `startTime`. */
+    duration: number;
+
+    /** The cause of failure, for events of type `error`. */
+    error?: Error;
+}
+
+interface CustomElementStats
+{
+    /** Lower-case name of the custom-element. */
+    elementName: string;
+
+    /** Registry the custom-element is defined at. */
+    registry: CustomElementRegistry;
+
+    /** `pending` includes definitions deferred by their loading strategy. */
+    status: 'pending'|'defined'|'skipped'|'failed';
+
+    /** The resolved URL, `null` until resolved or if resolving failed. */
+    url: URL|null;
+
+    /** Milliseconds from start until settled, elapsed milliseconds while pending. */
+    duration: number;
+
+    /**
+     * Number of elements found in the DOM before the custom-element got defined.
+     * Elements created once defined are not tracked, as defined names are not handled anymore.
+     */
+    found: number;
+
+    /** The cause of failure, for failed definitions. */
+    error: Error|null;
+}
@@ -1,3 +1,7 @@
+import { isCustomElementName, resolveElementNames }              from "./custom-element-names.mjs";
+import { importSystem, loadScript }                              from "./custom-elements-legacy-loaders.mjs";
+import { resolveDefaultPath, resolveFilter, resolveUrlResolver } from "./custom-elements-options.mjs";
+
 /**
  * This implementation of the `MutationObserver` interface provides the ability
  * to use custom-elements as if they were browser native.
@@ -5,9 +9,183 @@
  */
 export default class CustomElementsLazyLoader extends MutationObserver
 {
-    /** @type {CustomElementLoader} */      #loader      = null;
-    /** @type {CustomElementFilter} */      #filter      = null;
-    /** @type {CustomElementUrlResolver} */ #urlResolver = null;
+    /** @type {CustomElementLoader} */           #loader      = null;
+    /** @type {CustomElementFilter} */           #filter      = null;
+    /** @type {CustomElementUrlResolver|null} */ #urlResolver = null;
+    /** @type {CustomElementsLazyLoaderHooks} */ #hooks       = null;
+    /** @type {CustomElementRetryInit} */        #retry       = null;
+    /** @type {CustomElementRegistry} */         #registry    = null;
+    /** @type {boolean} */                       #discover    = false;
+
+    /** @type {CustomElementStateAttributes|null} */
+    #stateAttributes = null;
+    /** @type {HTMLTemplateElement|CustomElementFallbackRenderer|null} */
+    #fallback        = null;
+    /** @type {number} */
+    #timeSlice       = 0;
+    /** @type {CustomElementsLazyLoaderPolicy|null} */
+    #policy          = null;
+    /** @type {boolean} */
+    #strictNames     = false;
+    /** @type {number} */
+    #concurrency     = Infinity;
+    /** @type {'warn'|'replace'} */
+    #lateIsAttrs     = 'warn';
+    /** @type {(function():Promise<*>)|null} */
+    #polyfill        = null;
+    /** @type {EventTarget|URL|null} */
+    #hotReload       = null;
+
+    /**
+     * Source of file-change notifications while observing, and whether it was connected by this instance.
+     * @type {{ source: EventTarget, listener: function(MessageEvent):void, owned: boolean }|null}
+     */
+    #hotReloadConnection = null;
+
+    /**
+     * Original `define()` of registries patched while reloading, and the maps to capture redefinitions by.
+     * @type {Map<CustomElementRegistry,{ define: function(string,CustomElementConstructor,ElementDefinitionOptions=):void, own: boolean, captures: Set<Map<string,CustomElementConstructor>> }>}
+     */
+    #redefining = new Map();
+
+    /**
+     * Loads waiting for a free slot by the record of their definition, in order of their request.
+     * @type {Map<DefinitionRecord,QueuedLoad>}
+     */
+    #queue = new Map();
+
+    /**
+     * Number of loads in progress.
+     * @type {number}
+     */
+    #running = 0;
+
+    /**
+     * Cached results of validating and filtering element-names.
+     * @type {Map<string,boolean>}
+     */
+    #handledNames = new Map();
+
+    /**
+     * Tag-names and `is`-Attributes already warned about, as `<tag-name is="is-attr">`.
+     * @type {Set<string>}
+     */
+    #ignoredIsAttrs = new Set();
+
+    /**
+     * Tokens of the time-sliced scans in progress by their root, replaced by a scan of the same root started meanwhile.
+     * Scans abort once their token is replaced or removed, eg. by `disconnect()`. Tokens hold the scan's promise for `settled()`.
+     * @type {Map<Node,{promise:Promise<void>}>}
+     */
+    #scans = new Map();
+
+    /**
+     * Callback handling mutation records, to handle pending records on `unobserve()`.
+     * @type {MutationCallback}
+     */
+    #mutationCallback = null;
+
+    /** @type {CustomElementLoadingStrategy|CustomElementLoadingStrategyResolver} */
+    #loading    = 'eager';
+    /** @type {string} */
+    #rootMargin = '';
+
+    /**
+     * URLs by element-name, resolved before any resolver.
+     * @type {Map<string,CustomElementUrlResolverResult>}
+     */
+    #mappings = new Map();
+
+    /**
+     * Resolvers added at runtime, consulted in order before the configured `urlResolver`.
+     * @type {CustomElementUrlResolver[]}
+     */
+    #resolvers = [];
+
+    /**
+     * Whether a rescan of the observed targets is scheduled due to reconfiguration.
+     * @type {boolean}
+     */
+    #rescanScheduled = false;
+
+    /**
+     * Elements within targets observed with `{ scan: false }` skipped by the filter or failed to load,
+     * to be handled again by a rescan, as their targets are not scanned.
+     * @type {Set<Element>}
+     */
+    #skipped = new Set();
+
+    /**
+     * URLs hinted by `prefetch()`.
+     * @type {Set<string>}
+     */
+    #prefetched = new Set();
+
+    /**
+     * Lazily created observer for elements deferred until visible.
+     * @type {IntersectionObserver|null}
+     */
+    #intersectionObserver = null;
+
+    /**
+     * Elements deferred until visible.
+     * @type {Map<Element,ElementNames>}
+     */
+    #deferredUntilVisible = new Map();
+
+    /**
+     * Handles of callbacks for element-names deferred until idle, by registry and element-name.
+     * @type {Map<CustomElementRegistry,Map<string,number>>}
+     */
+    #deferredUntilIdle = new Map();
+
+    /**
+     * Definitions handled by this instance by registry and element-name, shared by all observed targets.
+     * @type {Map<CustomElementRegistry,Map<string,DefinitionRecord>>}
+     */
+    #definitions = new Map();
+
+    /**
+     * Observed targets and their options.
+     * @type {Map<Node,CustomElementsObserveInit>}
+     */
+    #targets = new Map();
+
+    /**
+     * Shadow roots observed due to `{ shadow: true }` and the options inherited from their target.
+     * @type {Map<ShadowRoot,CustomElementsObserveInit>}
+     */
+    #shadowRoots = new Map();
+
+    /**
+     * Supported loading strategies by their name, including aliases.
+     * @type {Map<string,CustomElementLoadingStrategy>}
+     */
+    static #LOADING_STRATEGIES = new Map([ ['eager', 'eager'], ['visible', 'visible'], ['lazy', 'visible'], ['idle', 'idle'] ]);
+
+    /**
+     * Instances to be notified about newly attached shadow roots.
+     * @type {Set<CustomElementsLazyLoader>}
+     */
+    static #shadowObservers = new Set();
+
+    /**
+     * The original `Element.prototype.attachShadow`, while patched.
+     * @type {Function|null}
+     */
+    static #attachShadow = null;
+
+    /**
+     * Trusted Types policy created for `{ policy: { trustedTypes: true } }`.
+     * @type {TrustedTypePolicy|null}
+     */
+    static #trustedTypesPolicy = null;
+
+    /**
+     * Loading of the polyfill for customized built-in elements, once per page.
+     * @type {Promise<void>|null}
+     */
+    static #polyfilling = null;
 
     /**
      * This implementation of the `MutationObserver` interface provides the ability
@@ -29,7 +207,7 @@ export default class CustomElementsLazyLoader extends MutationObserver
         {
             for (let ri = 0, record = records[ri]; ri < records.length; record = records[++ri])
             {
-                if(record.type === 'attributes') { onIsAttributeChange(record.target); }
+                if(record.type === 'attributes') { onIsAttributeChange(record.target, record.oldValue); }
                 else // we did not register for characterData, so a check for childList is unnecessary.
                 {
                     for (const node of record.addedNodes)
@@ -44,287 +222,2326 @@ export default class CustomElementsLazyLoader extends MutationObserver
         onElementAdded      = this.#onElementAdded.bind(this);
         onIsAttributeChange = this.#onIsAttributeChanged.bind(this);
 
+        this.#mutationCallback = mutationCallback;
+
         options = this.#resolveConstructorOptions(
             options,
             {
                 filter     : null,
                 loader     : CustomElementsLazyLoader.#loadDefault,
                 urlResolver: CustomElementsLazyLoader.#resolveUrlDefault,
+                onLoadStart: null,
+                onDefined  : null,
+                onSkipped  : null,
+                onError    : null,
+                retry      : { attempts: 1, delay: 1000, factor: 2, timeout: 0 },
+                loading    : 'eager',
+                rootMargin : '200px',
+                registry   : globalThis.customElements,
+                discover   : false,
+                states     : null,
+                fallback   : null,
+                timeSlice  : 0,
+                policy     : null,
+                mappings   : null,
+                strictNames: false,
+                hotReload  : null,
+                concurrency: Infinity,
+                lateIsAttrs: 'warn',
+                polyfill   : null,
             }
         );
 
         this.#filter      = options.filter;
         this.#loader      = options.loader;
         this.#urlResolver = options.urlResolver;
+        this.#mappings    = options.mappings || new Map();
+        this.#hooks       = {
+                                loadstart: options.onLoadStart,
+                                defined  : options.onDefined,
+                                skipped  : options.onSkipped,
+                                error    : options.onError,
+                            };
+        this.#retry       = options.retry;
+        this.#loading     = options.loading;
+        this.#rootMargin  = options.rootMargin;
+        this.#registry    = options.registry;
+        this.#discover    = options.discover;
+
+        this.#stateAttributes = options.states;
+        this.#fallback        = options.fallback;
+        this.#timeSlice       = options.timeSlice;
+        this.#policy          = options.policy;
+        this.#strictNames     = options.strictNames;
+        this.#concurrency     = options.concurrency;
+        this.#lateIsAttrs     = options.lateIsAttrs;
+        this.#polyfill        = options.polyfill;
+        this.#hotReload       = options.hotReload;
     }
 
     /**
      * Starts the observation of the `target` for newly added custom-elements.<br/>
-     * Use `options` to control whether the `target` will be scanned for existing custom-elements.
+     * Use `options` to control whether the `target` will be scanned for existing custom-elements.<br/>
+     * Observing a target again with the same options has no effect, different options replace the former ones.
      * @param {Node}                      target    Node to observe
      * @param {CustomElementsObserveInit} [options] Options to configure observation
      */
     observe( target, options )
     {
-        options = this.#resolveObserveOptions(options, { scan: true, subtree: true });
+        options = this.#resolveObserveOptions(options, { scan: true, subtree: true, shadow: false, registry: null });
+
+        if (!options.registry) { options.registry = CustomElementsLazyLoader.#findScopedRegistry(target); }
+
+        const observed = this.#targets.get(target);
+
+        if (observed && ['scan', 'subtree', 'shadow', 'registry'].every(( key ) => observed[key] === options[key])) { return; }
 
-        super.observe(target, { attributes: true, attributeFilter: ['is'], childList: options.subtree, subtree: options.subtree });
+        super.observe(target, this.#resolveMutationObserverInit(options));
+        this.#targets.set(target, options);
 
-        if (options.scan) { this.#scan(target, options.subtree); }
+        if (options.shadow) { CustomElementsLazyLoader.#observeAttachShadow(this); }
+
+        if (this.#hotReload && !this.#hotReloadConnection) { this.#listenForHotReload(this.#hotReload); }
+
+        if (options.scan || options.shadow) { this.#scan(target, options); }
     }
 
     /**
-     * Returns sanitized options.
-     * @param {CustomElementsLazyLoaderInit} options
-     * @param {CustomElementsLazyLoaderInit} defaults
-     * @return {CustomElementsLazyLoaderInit}
-     * @throws {TypeError}
+     * Stops the observation of all targets, including their shadow roots.<br/>
+     * Stops listening for hot reload notifications, closing the connection if it was opened by this instance.
      */
-    #resolveConstructorOptions( options, defaults )
+    disconnect()
     {
-        if(!options) { return { ...defaults }; }
+        super.disconnect();
 
-        let filter      = null;
-        let urlResolver = null;
-        let loader      = null;
+        this.#targets.clear();
+        this.#shadowRoots.clear();
+        this.#scans.clear();
+        this.#skipped.clear();
 
-        if (!options.filter)                           { filter = defaults.filter; }
-        else if (typeof options.filter === 'function') { filter = options.filter; }
-        else if (Array.isArray(options.filter))        { filter = ( name ) => options.filter.includes(name); }
-        else { throw new TypeError(`Expecting provided filter to be type of function or string[].`); }
+        if (this.#intersectionObserver) { this.#intersectionObserver.disconnect(); }
 
-        if (!options.urlResolver)                           { urlResolver = defaults.urlResolver; }
-        else if (typeof options.urlResolver === 'function') { urlResolver = options.urlResolver; }
-        else if (options.urlResolver instanceof Map)        { urlResolver = ( name ) => (/** @type {Map<string,URL|string>}*/ options.urlResolver).get(name); }
-        else { throw new TypeError(`Expecting provided urlResolver to be type of function.`); }
+        for (const handle of [...this.#deferredUntilIdle.values()].flatMap(( handles ) => [...handles.values()]))
+        {
+            if (typeof cancelIdleCallback === 'function') { cancelIdleCallback(handle); }
+            else                                          { clearTimeout(handle); }
+        }
 
-        if (!options.loader)                           { loader = defaults.loader; }
-        else if (typeof options.loader === 'function') { loader = options.loader; }
-        else { throw new TypeError(`Expecting provided loader to be type of function.`); }
+        this.#intersectionObserver = null;
+        this.#deferredUntilVisible.clear();
+        this.#deferredUntilIdle.clear();
 
-        return {
-            filter     : filter,
-            urlResolver: urlResolver,
-            loader     : loader,
-        };
+        if (this.#hotReloadConnection)
+        {
+            const { source, listener, owned } = this.#hotReloadConnection;
+
+            source.removeEventListener('message', listener);
+
+            if (owned && typeof source.close === 'function') { source.close(); }
+
+            this.#hotReloadConnection = null;
+        }
+
+        CustomElementsLazyLoader.#unobserveAttachShadow(this);
     }
 
     /**
-     * Returns sanitized options.
-     * @param {CustomElementsObserveInit} options
-     * @param {CustomElementsObserveInit} defaults
-     * @returns {CustomElementsObserveInit}
+     * Stops the observation of a single `target`, including the shadow roots and deferred elements within,
+     * unless they are within another observed target.<br/>
+     * Pending definitions are not affected.
+     * @param {Node} target Node observed before
      */
-    #resolveObserveOptions( options, defaults )
+    unobserve( target )
     {
-        if (!options) { return { ...defaults }; }
+        if (!this.#targets.has(target)) { return; }
 
-        return {
-            scan   : options.scan !== void 0 ? !!options.scan : defaults.scan,
-            subtree: options.subtree !== void 0 ? !!options.subtree : defaults.subtree,
-        };
+        const records = this.takeRecords();
+
+        this.#targets.delete(target);
+
+        const isReleased = ( node ) => CustomElementsLazyLoader.#isWithin(node, target)
+                                     && ![...this.#targets.keys()].some(( other ) => CustomElementsLazyLoader.#isWithin(node, other));
+
+        for (const shadowRoot of this.#shadowRoots.keys())
+        {
+            if (isReleased(shadowRoot)) { this.#shadowRoots.delete(shadowRoot); }
+        }
+
+        for (const root of this.#scans.keys())
+        {
+            if (isReleased(root)) { this.#scans.delete(root); }
+        }
+
+        for (const element of this.#skipped)
+        {
+            if (isReleased(element)) { this.#skipped.delete(element); }
+        }
+
+        for (const element of this.#deferredUntilVisible.keys())
+        {
+            if (!isReleased(element)) { continue; }
+
+            this.#intersectionObserver.unobserve(element);
+            this.#deferredUntilVisible.delete(element);
+        }
+
+        // A MutationObserver cannot stop observing a single node, so the remaining ones are observed again.
+        super.disconnect();
+
+        for (const [ node, options ] of [...this.#targets, ...this.#shadowRoots]) { super.observe(node, this.#resolveMutationObserverInit(options)); }
+
+        if (![...this.#targets.values()].some(( options ) => options.shadow)) { CustomElementsLazyLoader.#unobserveAttachShadow(this); }
+
+        // Records taken are lost by disconnecting, the ones within remaining targets are still to be handled.
+        this.#mutationCallback(records.filter(( record ) => this.#findOptions(record.target)), this);
     }
 
     /**
-     * Callback for each newly added element.
-     * @param {Element} element
+     * Loads and defines the custom-elements ahead of their occurrence in the DOM.<br/>
+     * Names already defined or pending are joined, regardless of the configured filter and loading strategy.
+     * Customized built-in elements need their constructor to provide the tag-name to extend as static `extends`.
+     * @param {string|Iterable<string>} names Custom-element names
+     * @return {Promise<void>} Resolves once all custom-elements are defined or skipped
+     * @throws {SyntaxError|Error} If any name is invalid or its definition failed
      */
-    #onElementAdded( element )
+    async preload( names )
     {
-        const names = this.#resolveNames(element);
+        const records = this.#resolvePreloadNames(names)
+                            .filter(( name ) => !this.#isRegistered(name))
+                            .map(( name ) =>
+                            {
+                                const names = { elementName: name, tagName: '', registry: this.#registry };
+
+                                this.#define(names);
+
+                                return this.#recordFor(names);
+                            });
 
-        if (!this.#shouldHandle(names.elementName)) { return; }
+        await Promise.all(records.map(( record ) => record.promise));
 
-        this.#define(names);
+        const failed = records.find(( record ) => record.status === 'failed');
+
+        if (failed) { throw failed.error; }
     }
 
     /**
-     * Callback for each change to the elements' `is`-Attribute.
-     * @param {Element} element
+     * Hints the browser to fetch the modules of the custom-elements ahead of their occurrence in the DOM,
+     * by injecting `<link rel="modulepreload">` for their resolved URL.<br/>
+     * Names already defined or pending are skipped.
+     * @param {string|Iterable<string>} names Custom-element names
+     * @return {Promise<void>} Resolves once the hints are injected
+     * @throws {SyntaxError|TypeError} If any name is invalid or cannot be resolved
      */
-    #onIsAttributeChanged( element )
+    async prefetch( names )
     {
-        const names = this.#resolveNames(element);
+        const records = this.#recordsOf(this.#registry);
+
+        names = this.#resolvePreloadNames(names).filter(( name ) => !this.#isRegistered(name) && !(records.has(name) && records.get(name).promise));
+
+        await Promise.all(names.map(async ( name ) =>
+        {
+            let resolved = this.#resolveUrl(name);
+
+            if (resolved && typeof resolved.then === 'function') { resolved = await resolved; }
 
-        if (!this.#shouldHandle(names.elementName)) { return; }
+            const module = this.#resolveModules(name, resolved)[0];
 
-        this.#define(names);
+            this.#preloadModule(module.url.href, this.#integrityOf(name), module.type);
+        }));
     }
 
     /**
-     * Scans the nodes' direct children for custom-elements.
-     * @param {Element|Iterable<Element>|HTMLCollection} elements Target element / elements to scan
-     * @param {boolean}                                  subtree  Scan the subtree recursively
+     * Returns a snapshot of all custom-elements handled by this instance, in the order they were first seen.
+     * @return {CustomElementStats[]}
      */
-    #scan( elements, subtree )
+    stats()
     {
-        if (!elements[Symbol.iterator]) { elements = [/** @type {Element} */ elements]; }
+        const stats = [];
 
-        for (const element of elements)
+        for (const [ registry, records ] of this.#definitions)
         {
-            const names = this.#resolveNames(element);
-            if (this.#shouldHandle(names.elementName)) { this.#define(names); }
-
-            if (subtree)
+            for (const [ elementName, record ] of records)
             {
-                for (const child of element.children)
-                {
-                    const childNames = this.#resolveNames(child);
-                    if (this.#shouldHandle(childNames.elementName)) { this.#define(childNames) }
+                const event = record.event;
 
-                    this.#scan(child.children, true);
-                }
+                stats.push({
+                    elementName: elementName,
+                    registry   : registry,
+                    status     : record.status,
+                    url        : event && event.url,
+                    duration   : record.status !== 'pending' ? record.duration : event ? performance.now() - event.startTime : 0,
+                    found      : record.count,
+                    error      : record.error,
+                });
             }
         }
+
+        return stats;
     }
 
     /**
-     * Resolves the custom-element name for the given `element` by analyzing its tag-name and `is`-Attribute.
-     * @param {Element} element
-     * @returns {ElementNames}
+     * Resolves once all pending definitions are settled, including those triggered meanwhile, eg. by discovery.<br/>
+     * Mutations not yet delivered are handled right away, time-sliced scans and rescans due to reconfiguration are awaited,
+     * definitions deferred by the loading strategy are not awaited.
+     * @return {Promise<void>}
      */
-    #resolveNames( element )
+    async settled()
     {
-        const tagName = ((/** @type {Element}*/ element).tagName).toLowerCase();
-        let   isAttr  = (/** @type {Element}*/ element).getAttribute('is');
-        const names   = {
-                            elementName: tagName,
-                            tagName    : tagName,
-                        };
+        this.#mutationCallback(this.takeRecords(), this);
 
-        if(typeof isAttr === 'string')
+        for (;;)
         {
-            isAttr = isAttr.toLowerCase();
-            names.elementName = isAttr;
-            names.isAttr      = isAttr;
-        }
+            const pending = [...this.#definitions.values()]
+                                .flatMap(( records ) => [...records.values()])
+                                .filter(( record ) => record.status === 'pending' && record.promise)
+                                .map(( record ) => record.promise)
+                                .concat([...this.#scans.values()].map(( token ) => token.promise));
 
-        return names;
+            if (!pending.length && !this.#rescanScheduled) { return; }
+
+            await Promise.all(pending);
+
+            // Settled definitions discover further custom-elements once they had the chance to render.
+            await new Promise(( resolve ) => setTimeout(resolve));
+        }
     }
 
     /**
-     * Tests the `name` is to be handled by this instance.
-     * @param {string} name Name
-     * @return {boolean} `true` if the `name` is a valid custom-element name, not already registered and is to be handled by this instance.
+     * Reloads the modules of custom-elements defined by this instance, for development only.<br/>
+     * As definitions cannot be undone, the prototype and static members of the defined constructors get patched by the reloaded ones.
+     * Instances within the observed targets get `disconnectedCallback()` and `connectedCallback()` called again.
+     * Modules defining their custom-elements themselves get their definition captured, instead of failing to define them again.
+     * Changes to the constructor itself, to private members or to `observedAttributes` do not take effect.
+     * @param {string|Iterable<string>} names Custom-element names, names not defined by this instance are ignored
+     * @return {Promise<void>} Resolves once all custom-elements are reloaded
+     * @throws {SyntaxError|Error} If any name is invalid or its module failed to load
      */
-    #shouldHandle( name )
+    async reload( names )
     {
-        return !!name
-            && this.#isCustomElementName(name)
-            && !this.#isRegistered(name)
-            && (!this.#filter || !!this.#filter(name));
+        const reloads = [];
+
+        for (const name of this.#resolvePreloadNames(names))
+        {
+            for (const [ registry, records ] of this.#definitions)
+            {
+                const record = records.get(name);
+
+                if (record && record.status === 'defined') { reloads.push(this.#reloadElement({ elementName: name, tagName: '', registry: registry }, record)); }
+            }
+        }
+
+        await Promise.all(reloads);
     }
 
     /**
-     * Tests if the `name` is a valid custom-element name.
-     * @param {string|null} [name] Lower-case name
-     * @return {boolean} `true` if the name is valid.
+     * Reloads the module of a defined custom-element, bypassing caches, and patches the defined constructor.
+     * @param {ElementNames}     names
+     * @param {DefinitionRecord} record
+     * @return {Promise<void>}
+     * @throws
      */
-    #isCustomElementName( name )
+    async #reloadElement( names, record )
     {
-        if (typeof name !== 'string') { return false; }
+        const ctor = names.registry.get(names.elementName);
+
+        let resolved = this.#resolveUrl(names.elementName);
 
-        const firstChar                    = name.charCodeAt(0);
-        const A_CHAR                       = 'a'.codePointAt(0);
-        const Z_CHAR                       = 'z'.codePointAt(0);
-        const INVALID_CUSTOM_ELEMENT_NAMES = [ 'annotation-xml', 'color-profile', 'font-face', 'font-face-src', 'font-face-uri', 'font-face-format', 'font-face-name', 'missing-glyph', ];
+        if (resolved && typeof resolved.then === 'function') { resolved = await resolved; }
 
-        // We could validate against https://html.spec.whatwg.org/multipage/custom-elements.html#valid-custom-element-name,
-        // but loose checking seems to be sufficient for out purposes.
-        return A_CHAR <= firstChar && firstChar <= Z_CHAR
-            && name.indexOf('-') > 0
-            && !INVALID_CUSTOM_ELEMENT_NAMES.includes(name);
+        const modules = this.#resolveModules(names.elementName, resolved);
+        const loaded  = record.event && record.event.url && modules.find(( module ) => module.url.href === record.event.url.href);
+        const module  = { ...(loaded || modules[0]) };
+
+        module.url = new URL(module.url);
+        module.url.searchParams.set('hot-reload', String(Date.now()));
+
+        const captured = new Map();
+
+        let update = await this.#captureRedefinitions(names.registry, captured, () => this.#loadAttempt(names, module));
+
+        if (update && typeof update !== 'function') { update = (update instanceof Map ? update : new Map(Object.entries(update))).get(names.elementName); }
+
+        // Modules defining their custom-elements themselves provide the constructor by defining it again.
+        if (!update) { update = captured.get(names.elementName); }
+
+        if (typeof update !== 'function') { throw new TypeError(`Reloaded module does not provide a constructor for '${names.elementName}'.`); }
+
+        CustomElementsLazyLoader.#patchConstructor(ctor, update);
+
+        // Targets may be nested, so their elements are collected first.
+        const instances = new Set();
+
+        for (const target of [...this.#targets.keys(), ...this.#shadowRoots.keys()])
+        {
+            for (const element of CustomElementsLazyLoader.#walk(target, true))
+            {
+                if (element instanceof ctor && element.isConnected) { instances.add(element); }
+            }
+        }
+
+        for (const element of instances)
+        {
+            if (typeof element.disconnectedCallback === 'function') { element.disconnectedCallback(); }
+            if (typeof element.connectedCallback === 'function')    { element.connectedCallback(); }
+        }
     }
 
     /**
-     * Test if the element-name is already registered.
-     * @param {string} [name]
-     * @return {boolean} `true` if the element-name is registered.
+     * Runs the `callback` while defining custom-elements already defined at the `registry` gets captured instead of throwing,
+     * as modules defining their custom-elements themselves define them again once reloaded.
+     * @param {CustomElementRegistry}                registry
+     * @param {Map<string,CustomElementConstructor>} captured Collects the constructors by element-name
+     * @param {function():Promise<*>}                callback
+     * @return {Promise<*>} Result of the `callback`
      */
-    #isRegistered( name )
+    async #captureRedefinitions( registry, captured, callback )
     {
-        return !!name && !!customElements.get(name);
+        let patch = this.#redefining.get(registry);
+
+        if (!patch)
+        {
+            const captures = new Set();
+            const define   = registry.define;
+
+            patch = { define: define, own: Object.hasOwn(registry, 'define'), captures: captures };
+            this.#redefining.set(registry, patch);
+
+            registry.define = function( name, ctor, options )
+            {
+                if (!registry.get(name)) { return define.call(this, name, ctor, options); }
+
+                for (const capture of captures) { capture.set(name, ctor); }
+            };
+        }
+
+        patch.captures.add(captured);
+
+        try { return await callback(); }
+        finally
+        {
+            patch.captures.delete(captured);
+
+            if (!patch.captures.size)
+            {
+                if (patch.own) { registry.define = patch.define; }
+                else           { delete registry.define; }
+
+                this.#redefining.delete(registry);
+            }
+        }
     }
 
     /**
-     * @param {ElementNames} names
-     * @throws
+     * Reloads the custom-elements whose module changed, as notified by `message` events of the `source`.<br/>
+     * The event's data is expected to be the changed module's URL, or JSON providing it as `url` or `file`.
+     * URLs get connected to by `WebSocket` or `EventSource`, depending on the protocol, until `disconnect()`.
+     * @param {EventTarget|URL} source
      */
-    #define( names )
+    #listenForHotReload( source )
     {
-        this.#load(names.elementName)
-            .then(( ctor ) =>
+        const owned = source instanceof URL;
+
+        if (owned) { source = source.protocol === 'ws:' || source.protocol === 'wss:' ? new WebSocket(source) : new EventSource(source); }
+
+        const listener = ( event ) =>
+        {
+            let changed = event.data;
+
+            try
             {
-                const options = {};
+                if (/^\s*\{/.test(changed)) { changed = JSON.parse(changed); changed = changed.url || changed.file; }
 
-                if (typeof names.isAttr === 'string') { options.extends = names.tagName; }
+                changed = new URL(changed, window.location);
+            }
+            catch ( error ) { console.error(new Error(`Cannot parse hot reload notification '${event.data}'.`, { cause: error })); return; }
 
-                // If the constructor is explicitly null, we assume that this is intentionally to avoid the actual definition.
-                if (ctor === null) { console.warn(`Custom-Element constructor for '${names.elementName}' is null, skipping definition!`); }
-                else               { customElements.define(names.elementName, ctor, options); }
-            })
-            .catch(( error ) =>
+            const names = new Set();
+
+            for (const records of this.#definitions.values())
             {
-                throw new Error(`Error defining element '${names.elementName}'.`, { cause: error });
-            });
+                for (const [ name, record ] of records)
+                {
+                    const url = record.status === 'defined' && record.event && record.event.url;
+
+                    if (url && url.origin === changed.origin && url.pathname === changed.pathname) { names.add(name); }
+                }
+            }
+
+            if (names.size) { this.reload(names).catch(( error ) => { console.error(error); }); }
+        };
+
+        source.addEventListener('message', listener);
+        this.#hotReloadConnection = { source: source, listener: listener, owned: owned };
     }
 
     /**
-     * Loads the module for the custom-element with the given `element-name`.
-     * @param {string} elementName Lower-case element-name
-     * @return Promise<CustomElementConstructor>
-     * @throws
+     * Maps the custom-element to the URL of its module, taking precedence over all resolvers.<br/>
+     * The observed targets are rescanned, so elements skipped or failed so far get loaded.
+     * @param {string}                         name Custom-element name
+     * @param {CustomElementUrlResolverResult} url  URL(s) or module(s) as returned by a `CustomElementUrlResolver`
+     * @throws {SyntaxError|TypeError}
      */
-    async #load( elementName )
+    addMapping( name, url )
     {
-        let url = this.#urlResolver(elementName);
+        const [ elementName ] = this.#resolvePreloadNames(name);
 
-        if (typeof url === 'string')
-        {
-            try { url = new URL(url,  window.location); }
-            catch ( error ) { throw new SyntaxError(`Cannot parse provided URL '${url}' for '${elementName}'.`, { cause: error }); }
-        }
+        if (!url) { throw new TypeError(`Expecting provided url for '${elementName}' to be type of URL, string or CustomElementModule.`); }
+
+        this.#mappings.set(elementName, url);
+        this.#forgetFailed(elementName);
+        this.#scheduleRescan();
+    }
+
+    /**
+     * Removes the mapping of the custom-element, already loaded modules are not affected.
+     * @param {string} name Custom-element name
+     * @return {boolean} `true` if there was a mapping
+     * @throws {SyntaxError}
+     */
+    removeMapping( name )
+    {
+        const [ elementName ] = this.#resolvePreloadNames(name);
+
+        return this.#mappings.delete(elementName);
+    }
 
-        if (!(url instanceof URL)) { throw new TypeError(`Configured CustomElementUrlResolver did not provide an valid URL for '${elementName}'.`); }
+    /**
+     * Adds a resolver, consulted after the mappings and the resolvers added before, but before the configured `urlResolver`.<br/>
+     * Resolvers returning nothing fall through to the next one.
+     * The observed targets are rescanned, so elements skipped or failed so far get loaded.
+     * @param {CustomElementUrlResolver} resolver
+     * @throws {TypeError}
+     */
+    addResolver( resolver )
+    {
+        if (typeof resolver !== 'function') { throw new TypeError(`Expecting provided resolver to be type of function.`); }
 
-        try { return await this.#loader(url); }
-        catch ( error ) { throw new Error(`Error loading constructor for custom-element '${elementName}' from '${url}'.`, { cause: error }); }
+        this.#resolvers.push(resolver);
+        this.#forgetFailed();
+        this.#scheduleRescan();
     }
 
     /**
-     * Default CustomElementUrlResolver
-     * @type {CustomElementUrlResolver}
-     * @param {string} name Element-Name
-     * @return {URL} URL (_protocol://domain.tld/js/<name>-element.js_)
+     * Removes a resolver added by `addResolver()`.
+     * @param {CustomElementUrlResolver} resolver
+     * @return {boolean} `true` if the resolver was added before
      */
-    static #resolveUrlDefault( name )
+    removeResolver( resolver )
     {
-        return new URL(`/js/${name}-element.js`,  window.location);
+        const index = this.#resolvers.indexOf(resolver);
+
+        if (index < 0) { return false; }
+
+        this.#resolvers.splice(index, 1);
+
+        return true;
     }
 
     /**
-     * Default CustomElementLoader
-     * @type {CustomElementLoader}
-     * @param {URL} url
-     * @return Promise<CustomElementConstructor>
+     * Replaces the filter, `null` to handle all custom-elements.<br/>
+     * The observed targets are rescanned, so elements skipped so far get loaded.
+     * @param {CustomElementFilter|string[]|null} filter
      * @throws {TypeError}
      */
-    static async #loadDefault( url )
+    setFilter( filter )
     {
-        // Leverage native dynamic import to load the module.
-        const module = await import(url);
+        this.#filter = resolveFilter(filter);
+        this.#handledNames.clear();
+        this.#scheduleRescan();
+    }
 
-        if (!module || !module.default) { throw new TypeError(`URL '${url}' does not point do an ES-Module with default export.`); }
+    /**
+     * Replaces the loader for all custom-elements not loaded yet, `null` for the default loader.
+     * @param {CustomElementLoader|null} loader
+     * @throws {TypeError}
+     */
+    setLoader( loader )
+    {
+        this.#loader = this.#resolveLoaderOption(loader, CustomElementsLazyLoader.#loadDefault);
+    }
 
-        return module.default;
+    /**
+     * Drops the records of failed definitions, eg. which could not be resolved so far, so they start over once rescanned.
+     * @param {string} [elementName] Lower-case element-name, all failed definitions if omitted
+     */
+    #forgetFailed( elementName )
+    {
+        for (const records of this.#definitions.values())
+        {
+            for (const [ name, record ] of records)
+            {
+                if (record.status === 'failed' && (!elementName || name === elementName)) { records.delete(name); }
+            }
+        }
     }
-}
 
-/**
+    /**
+     * Schedules a rescan of all observed targets and shadow roots, once per microtask.<br/>
+     * Targets observed with `{ scan: false }` are not scanned, but the elements skipped within get handled again.
+     */
+    #scheduleRescan()
+    {
+        if (this.#rescanScheduled) { return; }
+
+        this.#rescanScheduled = true;
+
+        queueMicrotask(() =>
+        {
+            this.#rescanScheduled = false;
+
+            const skipped = [...this.#skipped];
+
+            this.#skipped.clear();
+
+            for (const [ target, options ] of [...this.#targets, ...this.#shadowRoots])
+            {
+                if (options.scan) { this.#scan(target, options); }
+            }
+
+            for (const element of skipped)
+            {
+                const options = this.#findOptions(element);
+
+                if (options) { this.#visit(element, { ...options, scan: true }); }
+            }
+        });
+    }
+
+    /**
+     * Resolves the URL for the custom-element by the mappings, the added resolvers and the configured `urlResolver`, in turn.<br/>
+     * Stays synchronous as long as the resolvers consulted are.
+     * @param {string} elementName Lower-case element-name
+     * @param {number} [index]     Index of the resolver to continue with
+     * @return {CustomElementUrlResolverResult|Promise<CustomElementUrlResolverResult>} `null` if none resolved the element
+     */
+    #resolveUrl( elementName, index = 0 )
+    {
+        const resolvers = this.#urlResolver ? [...this.#resolvers, this.#urlResolver] : this.#resolvers;
+
+        if (index === 0 && this.#mappings.has(elementName)) { return this.#mappings.get(elementName); }
+
+        for (; index < resolvers.length; index++)
+        {
+            const resolved = resolvers[index](elementName);
+            const next     = index + 1;
+
+            if (resolved && typeof resolved.then === 'function')
+            {
+                return resolved.then(( result ) => result !== null && result !== void 0 ? result : this.#resolveUrl(elementName, next));
+            }
+
+            if (resolved !== null && resolved !== void 0) { return resolved; }
+        }
+
+        return null;
+    }
+
+    /**
+     * Returns sanitized options.
+     * @param {CustomElementsLazyLoaderInit} options
+     * @param {CustomElementsLazyLoaderInit} defaults
+     * @return {CustomElementsLazyLoaderInit}
+     * @throws {TypeError}
+     */
+    #resolveConstructorOptions( options, defaults )
+    {
+        if(!options) { return { ...defaults }; }
+
+        // Mappings are extendable by `addMapping()`, names not mapped fail to resolve.
+        const { urlResolver, mappings } = resolveUrlResolver(options.urlResolver, defaults.urlResolver);
+
+        let fallback = null;
+
+        if (!options.fallback)                                    { fallback = defaults.fallback; }
+        else if (typeof options.fallback === 'function')          { fallback = options.fallback; }
+        else if (options.fallback instanceof HTMLTemplateElement) { fallback = options.fallback; }
+        else { throw new TypeError(`Expecting provided fallback to be type of function or HTMLTemplateElement.`); }
+
+        const hooks = {};
+
+        for (const hook of ['onLoadStart', 'onDefined', 'onSkipped', 'onError'])
+        {
+            if (!options[hook])                           { hooks[hook] = defaults[hook]; }
+            else if (typeof options[hook] === 'function') { hooks[hook] = options[hook]; }
+            else { throw new TypeError(`Expecting provided ${hook} to be type of function.`); }
+        }
+
+        return {
+            filter     : resolveFilter(options.filter, defaults.filter),
+            urlResolver: urlResolver,
+            mappings   : mappings || defaults.mappings,
+            loader     : this.#resolveLoaderOption(options.loader, defaults.loader),
+            ...hooks,
+            retry      : this.#resolveRetryOptions(options.retry, defaults.retry),
+            loading    : this.#resolveLoadingOption(options.loading, defaults.loading),
+            rootMargin : options.rootMargin !== void 0 ? String(options.rootMargin) : defaults.rootMargin,
+            registry   : this.#resolveRegistryOption(options.registry, defaults.registry),
+            discover   : options.discover !== void 0 ? !!options.discover : defaults.discover,
+            states     : this.#resolveStatesOption(options.states, defaults.states),
+            fallback   : fallback,
+            timeSlice  : this.#resolveTimeSliceOption(options.timeSlice, defaults.timeSlice),
+            policy     : this.#resolvePolicyOption(options.policy, defaults.policy),
+            strictNames: options.strictNames !== void 0 ? !!options.strictNames : defaults.strictNames,
+            hotReload  : this.#resolveHotReloadOption(options.hotReload, defaults.hotReload),
+            concurrency: this.#resolveConcurrencyOption(options.concurrency, defaults.concurrency),
+            lateIsAttrs: this.#resolveLateIsAttrsOption(options.lateIsAttrs, defaults.lateIsAttrs),
+            polyfill   : this.#resolvePolyfillOption(options.polyfill, defaults.polyfill),
+        };
+    }
+
+    /**
+     * Returns the sanitized loader.
+     * @param {CustomElementLoader} loader
+     * @param {CustomElementLoader} defaultLoader
+     * @return {CustomElementLoader}
+     * @throws {TypeError}
+     */
+    #resolveLoaderOption( loader, defaultLoader )
+    {
+        if (!loader)                      { return defaultLoader; }
+        if (typeof loader === 'function') { return loader; }
+
+        throw new TypeError(`Expecting provided loader to be type of function.`);
+    }
+
+    /**
+     * Returns the sanitized security policy.
+     * @param {CustomElementsLazyLoaderPolicyInit}  policy
+     * @param {CustomElementsLazyLoaderPolicy|null} defaultPolicy
+     * @return {CustomElementsLazyLoaderPolicy|null}
+     * @throws {TypeError|SyntaxError}
+     */
+    #resolvePolicyOption( policy, defaultPolicy )
+    {
+        if (!policy) { return defaultPolicy; }
+
+        if (typeof policy !== 'object') { throw new TypeError(`Expecting provided policy to be type of object.`); }
+
+        const integrities  = policy.integrity;
+        let   allow        = null;
+        let   integrity    = null;
+        let   trustedTypes = null;
+
+        if (!policy.allow) { allow = null; }
+        else if (Array.isArray(policy.allow))
+        {
+            allow = policy.allow.map(( entry ) =>
+            {
+                try { return new URL(entry, window.location); }
+                catch ( error ) { throw new SyntaxError(`Cannot parse provided allowed URL '${entry}'.`, { cause: error }); }
+            });
+        }
+        else { throw new TypeError(`Expecting provided policy.allow to be type of Array<URL|string>.`); }
+
+        if (!integrities)                           { integrity = null; }
+        else if (typeof integrities === 'function') { integrity = integrities; }
+        else if (integrities instanceof Map)        { integrity = ( name ) => integrities.get(name); }
+        else if (typeof integrities === 'object')   { integrity = ( name ) => Object.hasOwn(integrities, name) ? integrities[name] : void 0; }
+        else { throw new TypeError(`Expecting provided policy.integrity to be type of function, Map or object.`); }
+
+        if (!policy.trustedTypes)                                           { trustedTypes = null; }
+        else if (policy.trustedTypes === true)                              { trustedTypes = CustomElementsLazyLoader.#createTrustedTypesPolicy(); }
+        else if (typeof policy.trustedTypes.createScriptURL === 'function') { trustedTypes = policy.trustedTypes; }
+        else { throw new TypeError(`Expecting provided policy.trustedTypes to be type of boolean or TrustedTypePolicy.`); }
+
+        return { allow: allow, integrity: integrity, trustedTypes: trustedTypes };
+    }
+
+    /**
+     * Returns the sanitized source of file-change notifications.
+     * @param {EventTarget|URL|string|null} hotReload
+     * @param {EventTarget|null}            defaultHotReload
+     * @return {EventTarget|URL|null} URLs are connected to once observing
+     * @throws {TypeError}
+     */
+    #resolveHotReloadOption( hotReload, defaultHotReload )
+    {
+        if (!hotReload)                                       { return defaultHotReload; }
+        if (typeof hotReload.addEventListener === 'function') { return hotReload; }
+
+        if (typeof hotReload !== 'string' && !(hotReload instanceof URL)) { throw new TypeError(`Expecting provided hotReload to be type of EventTarget, URL or string.`); }
+
+        return new URL(hotReload, window.location);
+    }
+
+    /**
+     * Returns the sanitized milliseconds a scan may block the main thread at once.
+     * @param {number} timeSlice
+     * @param {number} defaultTimeSlice
+     * @return {number} `0` for synchronous scans
+     * @throws {TypeError}
+     */
+    #resolveTimeSliceOption( timeSlice, defaultTimeSlice )
+    {
+        if (timeSlice === void 0) { return defaultTimeSlice; }
+
+        if (typeof timeSlice !== 'number' || !(timeSlice >= 0)) { throw new TypeError(`Expecting provided timeSlice to be a non-negative number.`); }
+
+        return timeSlice;
+    }
+
+    /**
+     * Returns the sanitized maximum number of concurrent loads.
+     * @param {number} concurrency
+     * @param {number} defaultConcurrency
+     * @return {number} `Infinity` for no limit
+     * @throws {TypeError}
+     */
+    #resolveConcurrencyOption( concurrency, defaultConcurrency )
+    {
+        if (concurrency === void 0) { return defaultConcurrency; }
+
+        if (typeof concurrency !== 'number' || !(concurrency >= 1)) { throw new TypeError(`Expecting provided concurrency to be a number of at least 1.`); }
+
+        return concurrency;
+    }
+
+    /**
+     * Returns the sanitized handling of `is`-Attributes changed after the creation of their element.
+     * @param {'warn'|'replace'} lateIsAttrs
+     * @param {'warn'|'replace'} defaultLateIsAttrs
+     * @return {'warn'|'replace'}
+     * @throws {TypeError}
+     */
+    #resolveLateIsAttrsOption( lateIsAttrs, defaultLateIsAttrs )
+    {
+        if (!lateIsAttrs) { return defaultLateIsAttrs; }
+
+        if (lateIsAttrs !== 'warn' && lateIsAttrs !== 'replace') { throw new TypeError(`Expecting provided lateIsAttrs to be one of 'warn', 'replace'.`); }
+
+        return lateIsAttrs;
+    }
+
+    /**
+     * Returns the sanitized polyfill for customized built-in elements, as function loading it.<br/>
+     * URLs are subject to the configured policy, like the modules of custom-elements.
+     * @param {(function():Promise<*>)|URL|string} polyfill
+     * @param {(function():Promise<*>)|null}       defaultPolyfill
+     * @return {(function():Promise<*>)|null}
+     * @throws {TypeError}
+     */
+    #resolvePolyfillOption( polyfill, defaultPolyfill )
+    {
+        if (!polyfill)                      { return defaultPolyfill; }
+        if (typeof polyfill === 'function') { return polyfill; }
+
+        if (typeof polyfill !== 'string' && !(polyfill instanceof URL)) { throw new TypeError(`Expecting provided polyfill to be type of function, URL or string.`); }
+
+        const url = new URL(polyfill, window.location);
+
+        return () =>
+        {
+            if (!this.#isAllowed(url)) { throw new DOMException(`URL '${url}' of the polyfill is not allowed by the configured policy.`, 'SecurityError'); }
+
+            const policy = this.#policy && this.#policy.trustedTypes;
+
+            return import(policy ? policy.createScriptURL(url.href) : url);
+        };
+    }
+
+    /**
+     * Returns the sanitized names of the state attributes, `null` if disabled.
+     * @param {boolean|Partial<CustomElementStateAttributes>} states
+     * @param {CustomElementStateAttributes|null}             defaultStates
+     * @return {CustomElementStateAttributes|null}
+     * @throws {TypeError}
+     */
+    #resolveStatesOption( states, defaultStates )
+    {
+        if (!states) { return defaultStates; }
+
+        if (states === true) { states = {}; }
+
+        if (typeof states !== 'object') { throw new TypeError(`Expecting provided states to be type of boolean or object.`); }
+
+        return {
+            loading: states.loading ? String(states.loading) : 'data-ce-loading',
+            error  : states.error   ? String(states.error)   : 'data-ce-error',
+        };
+    }
+
+    /**
+     * Returns the sanitized registry.
+     * @param {CustomElementRegistry} registry
+     * @param {CustomElementRegistry} defaultRegistry
+     * @return {CustomElementRegistry}
+     * @throws {TypeError}
+     */
+    #resolveRegistryOption( registry, defaultRegistry )
+    {
+        if (!registry) { return defaultRegistry; }
+
+        if (typeof registry.define !== 'function' || typeof registry.get !== 'function') { throw new TypeError(`Expecting provided registry to be type of CustomElementRegistry.`); }
+
+        return registry;
+    }
+
+    /**
+     * Returns the sanitized loading strategy.
+     * @param {CustomElementLoadingStrategy|CustomElementLoadingStrategyResolver} loading
+     * @param {CustomElementLoadingStrategy}                                      defaultLoading
+     * @return {CustomElementLoadingStrategy|CustomElementLoadingStrategyResolver}
+     * @throws {TypeError}
+     */
+    #resolveLoadingOption( loading, defaultLoading )
+    {
+        const strategies = CustomElementsLazyLoader.#LOADING_STRATEGIES;
+
+        if (!loading)                      { return defaultLoading; }
+        if (typeof loading === 'function') { return loading; }
+        if (strategies.has(loading))       { return strategies.get(loading); }
+
+        throw new TypeError(`Expecting provided loading to be type of function or one of 'eager', 'visible', 'idle'.`);
+    }
+
+    /**
+     * Returns the sanitized names to preload or prefetch.
+     * @param {string|Iterable<string>} names
+     * @return {string[]} Lower-case custom-element names
+     * @throws {SyntaxError}
+     */
+    #resolvePreloadNames( names )
+    {
+        names = typeof names === 'string' ? [names] : [...names];
+
+        return names.map(( name ) =>
+        {
+            const elementName = String(name).toLowerCase();
+
+            if (!isCustomElementName(elementName, this.#strictNames)) { throw new SyntaxError(`'${name}' is not a valid custom-element name.`); }
+
+            return elementName;
+        });
+    }
+
+    /**
+     * Returns sanitized retry options.
+     * @param {CustomElementRetryInit} options
+     * @param {CustomElementRetryInit} defaults
+     * @return {CustomElementRetryInit}
+     * @throws {TypeError}
+     */
+    #resolveRetryOptions( options, defaults )
+    {
+        if (!options) { return { ...defaults }; }
+
+        const retry = { ...defaults };
+
+        for (const [ key, min ] of [ ['attempts', 1], ['delay', 0], ['factor', 1], ['timeout', 0] ])
+        {
+            if (options[key] === void 0) { continue; }
+
+            if (typeof options[key] !== 'number' || !(options[key] >= min)) { throw new TypeError(`Expecting provided retry.${key} to be a number >= ${min}.`); }
+
+            retry[key] = options[key];
+        }
+
+        return retry;
+    }
+
+    /**
+     * Returns sanitized options.
+     * @param {CustomElementsObserveInit} options
+     * @param {CustomElementsObserveInit} defaults
+     * @returns {CustomElementsObserveInit}
+     */
+    #resolveObserveOptions( options, defaults )
+    {
+        if (!options) { return { ...defaults }; }
+
+        const subtree = options.subtree !== void 0 ? !!options.subtree : defaults.subtree;
+
+        return {
+            scan    : options.scan !== void 0 ? !!options.scan : defaults.scan,
+            subtree : subtree,
+            // Piercing shadow roots is limited to subtree observation.
+            shadow  : subtree && (options.shadow !== void 0 ? !!options.shadow : defaults.shadow),
+            registry: this.#resolveRegistryOption(options.registry, defaults.registry),
+        };
+    }
+
+    /**
+     * Returns the `MutationObserverInit` for the sanitized `options`.
+     * @param {CustomElementsObserveInit} options
+     * @returns {MutationObserverInit}
+     */
+    #resolveMutationObserverInit( options )
+    {
+        return { attributes: true, attributeFilter: ['is'], attributeOldValue: true, childList: options.subtree, subtree: options.subtree };
+    }
+
+    /**
+     * Callback for each newly added element.
+     * @param {Element} element
+     */
+    #onElementAdded( element )
+    {
+        const options = this.#findOptions(element);
+
+        // Descendants of the added element are not reported on their own, neither are shadow roots within.
+        this.#scan(element, options ? { ...options, scan: true } : { scan: true, subtree: false, shadow: false, registry: null });
+    }
+
+    /**
+     * Callback for each change to the elements' `is`-Attribute.<br/>
+     * As the `is`-Attribute only takes effect on creation, elements customized before keep their definition.
+     * Elements not customized before get verified to upgrade, once the new custom-element is defined.
+     * @param {Element}     element
+     * @param {string|null} oldValue Value of the `is`-Attribute before the change
+     */
+    #onIsAttributeChanged( element, oldValue )
+    {
+        if (element.getAttribute('is') === oldValue) { return; }
+
+        const names    = this.#resolveNames(element, this.#findOptions(element));
+        const registry = names.registry;
+        const former   = oldValue !== null ? registry.get(oldValue.toLowerCase()) : void 0;
+
+        if (former && element instanceof former) { this.#onLateIsAttr(element, oldValue); return; }
+
+        // Custom-elements already defined are not handled, but the element may not take them into effect either.
+        if (typeof names.isAttr === 'string' && this.#isRegistered(names.elementName, registry))
+        {
+            if (typeof registry.upgrade === 'function') { registry.upgrade(element); }
+
+            if (!(element instanceof registry.get(names.elementName))) { this.#onLateIsAttr(element, oldValue); }
+
+            return;
+        }
+
+        if (!this.#shouldHandle(names)) { return; }
+
+        this.#schedule(element, names);
+
+        if (typeof names.isAttr !== 'string' || typeof registry.whenDefined !== 'function') { return; }
+
+        registry.whenDefined(names.elementName).then(() =>
+        {
+            // Changed again meanwhile, handled by the subsequent change.
+            if ((element.getAttribute('is') || '').toLowerCase() !== names.isAttr) { return; }
+
+            // Elements outside the document upgrade once connected, unless the `is`-Attribute was set too late.
+            if (typeof registry.upgrade === 'function') { registry.upgrade(element); }
+
+            if (!(element instanceof registry.get(names.elementName))) { this.#onLateIsAttr(element, oldValue); }
+        });
+    }
+
+    /**
+     * Handles an element, which cannot take the change of its `is`-Attribute into effect, as it happened after its creation.<br/>
+     * With `{ lateIsAttrs: 'replace' }`, the element gets replaced by a new one of the same tag-name,
+     * taking over the attributes and children, but neither event listeners nor properties. Otherwise a warning is logged.
+     * @param {Element}     element
+     * @param {string|null} oldValue Value of the `is`-Attribute before the change
+     */
+    #onLateIsAttr( element, oldValue )
+    {
+        const isAttr = element.getAttribute('is');
+        const tag    = `<${element.localName}${oldValue !== null ? ` is="${oldValue}"` : ''}>`;
+
+        if (this.#lateIsAttrs !== 'replace')
+        {
+            console.warn(
+                `${isAttr !== null ? `Setting is="${isAttr}" on` : 'Removing the is-Attribute of'} ${tag} has no effect after the element's creation. `
+                + `Use { lateIsAttrs: 'replace' } to replace such elements, or create them with the is-Attribute.`
+            );
+            return;
+        }
+
+        const replacement = element.ownerDocument.createElement(element.localName, isAttr !== null ? { is: isAttr } : void 0);
+
+        for (const attribute of element.attributes) { replacement.setAttributeNS(attribute.namespaceURI, attribute.name, attribute.value); }
+
+        replacement.append(...element.childNodes);
+        element.replaceWith(replacement);
+    }
+
+    /**
+     * Defines the custom-element of the `element` according to its loading strategy.
+     * @param {Element}      element
+     * @param {ElementNames} names
+     */
+    #schedule( element, names )
+    {
+        const record = this.#recordFor(names);
+
+        // Elements may be found repeatedly, eg. by discovery or when added along with their ancestors.
+        if (record.seen.has(element))
+        {
+            if (record.status === 'failed') { this.#skip(element); }
+            return;
+        }
+
+        record.seen.add(element);
+        record.count++;
+
+        if (record.status === 'pending')
+        {
+            record.instances.add(element);
+
+            // Elements deferred by the loading strategy get marked once loading starts.
+            if (record.promise) { this.#markLoading(element); }
+        }
+        else if (record.status === 'failed') { this.#markFailed(element, record.error); this.#skip(element); }
+
+        if (record.promise) { return; }
+
+        switch (this.#resolveLoadingStrategy(element, names.elementName))
+        {
+            case 'visible': this.#deferUntilVisible(element, names); break;
+            case 'idle'   : this.#deferUntilIdle(names); break;
+            default       : this.#define(names, true);
+        }
+    }
+
+    /**
+     * Resolves the loading strategy for the `element`.<br/>
+     * The element's `loading`-Attribute takes precedence over the configured strategy.
+     * @param {Element} element
+     * @param {string}  elementName Lower-case element-name
+     * @return {CustomElementLoadingStrategy}
+     */
+    #resolveLoadingStrategy( element, elementName )
+    {
+        const strategies = CustomElementsLazyLoader.#LOADING_STRATEGIES;
+        const attribute  = element.getAttribute('loading');
+
+        if (attribute && strategies.has(attribute.toLowerCase())) { return strategies.get(attribute.toLowerCase()); }
+
+        if (typeof this.#loading !== 'function') { return this.#loading; }
+
+        return strategies.get(this.#loading(element, elementName)) || 'eager';
+    }
+
+    /**
+     * Defers the definition until the `element` intersects with the viewport, extended by the configured root margin.<br/>
+     * Falls back to eager definition, if `IntersectionObserver` is not supported.
+     * @param {Element}      element
+     * @param {ElementNames} names
+     */
+    #deferUntilVisible( element, names )
+    {
+        if (typeof IntersectionObserver !== 'function') { this.#define(names, true); return; }
+
+        if (!this.#intersectionObserver)
+        {
+            this.#intersectionObserver = new IntersectionObserver(( entries ) =>
+            {
+                for (const entry of entries)
+                {
+                    const names = this.#deferredUntilVisible.get(entry.target);
+
+                    if (!entry.isIntersecting || !names) { continue; }
+
+                    this.#intersectionObserver.unobserve(entry.target);
+                    this.#deferredUntilVisible.delete(entry.target);
+                    this.#define(names, true);
+                }
+            }, { rootMargin: this.#rootMargin });
+        }
+
+        this.#deferredUntilVisible.set(element, names);
+        this.#intersectionObserver.observe(element);
+    }
+
+    /**
+     * Defers the definition until the browser is idle.<br/>
+     * Falls back to `setTimeout()`, if `requestIdleCallback()` is not supported.
+     * @param {ElementNames} names
+     */
+    #deferUntilIdle( names )
+    {
+        if (!this.#deferredUntilIdle.has(names.registry)) { this.#deferredUntilIdle.set(names.registry, new Map()); }
+
+        const handles = this.#deferredUntilIdle.get(names.registry);
+
+        if (handles.has(names.elementName)) { return; }
+
+        const callback = () =>
+        {
+            handles.delete(names.elementName);
+            this.#define(names, true);
+        };
+
+        handles.set(
+            names.elementName,
+            typeof requestIdleCallback === 'function' ? requestIdleCallback(callback) : setTimeout(callback)
+        );
+    }
+
+    /**
+     * Scans the `root` and, with `{ subtree: true }`, its descendants for custom-elements.<br/>
+     * With `{ shadow: true }`, open shadow roots found are observed and scanned, even if `{ scan: false }`.<br/>
+     * With a `timeSlice` configured, the scan yields to the event loop whenever its time slice is used up.
+     * @param {Node}                      root    Target node / shadow root to scan
+     * @param {CustomElementsObserveInit} options Sanitized observation options
+     */
+    #scan( root, options )
+    {
+        const elements = CustomElementsLazyLoader.#walk(root, options.subtree);
+
+        if (!this.#timeSlice)
+        {
+            for (const element of elements) { this.#visit(element, options); }
+            return;
+        }
+
+        const token = { promise: null };
+
+        this.#scans.set(root, token);
+        token.promise = this.#scanSliced(root, elements, options, token)
+            .catch(( error ) => { console.error(error); })
+            .finally(() => { if (this.#scans.get(root) === token) { this.#scans.delete(root); } });
+    }
+
+    /**
+     * Visits the `elements` in time slices, the elements found within a slice are scheduled at its end.
+     * Aborts once the `root` is not observed anymore or its scan was superseded, eg. by observing it again after `disconnect()`.
+     * @param {Node}                      root
+     * @param {Iterator<Element>}         elements Elements of the `root`
+     * @param {CustomElementsObserveInit} options  Sanitized observation options
+     * @param {object}                    token    Token of this scan in `#scans`
+     * @return {Promise<void>}
+     */
+    async #scanSliced( root, elements, options, token )
+    {
+        for (let done = false; !done; )
+        {
+            const deadline = performance.now() + this.#timeSlice;
+            const found    = new Map();
+
+            do
+            {
+                const next = elements.next();
+
+                if ((done = next.done)) { break; }
+
+                this.#visit(next.value, options, found);
+            }
+            while (performance.now() < deadline);
+
+            for (const [ element, names ] of found) { this.#schedule(element, names); }
+
+            if (!done) { await new Promise(( resolve ) => setTimeout(resolve)); }
+
+            if (this.#scans.get(root) !== token || !this.#findOptions(root)) { return; }
+        }
+    }
+
+    /**
+     * Handles a single element found by a scan.
+     * @param {Element}                   element
+     * @param {CustomElementsObserveInit} options Sanitized observation options
+     * @param {Map<Element,ElementNames>} [found] Collects the elements to schedule, instead of scheduling them right away
+     */
+    #visit( element, options, found )
+    {
+        // Cheap test first, as most elements are neither autonomous nor customized built-in custom-elements.
+        if (options.scan && (element.localName.includes('-') || element.hasAttribute('is')))
+        {
+            const names = this.#resolveNames(element, options);
+
+            if (this.#shouldHandle(names))
+            {
+                if (found) { found.set(element, names); }
+                else       { this.#schedule(element, names); }
+            }
+            else if (names.elementName && !this.#isRegistered(names.elementName, names.registry)) { this.#skip(element); }
+        }
+
+        if (options.shadow && element.shadowRoot) { this.#observeShadowRoot(element.shadowRoot, options); }
+    }
+
+    /**
+     * Keeps the `element` to be handled again by a rescan, if it is within a target observed with `{ scan: false }`.
+     * @param {Element} element
+     */
+    #skip( element )
+    {
+        const options = this.#findOptions(element);
+
+        if (options && !options.scan) { this.#skipped.add(element); }
+    }
+
+    /**
+     * Iterates the `root`, if it is an element, and its descendants in tree order, without recursion.
+     * @param {Node}    root
+     * @param {boolean} subtree `false` to iterate the `root` element or the children of other nodes only
+     * @return {Generator<Element>}
+     */
+    static *#walk( root, subtree )
+    {
+        const walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+
+        if (root.nodeType === Node.ELEMENT_NODE)
+        {
+            yield /** @type {Element} */ (root);
+
+            if (!subtree) { return; }
+        }
+
+        for (let element = walker.nextNode(); element; element = subtree ? walker.nextNode() : walker.nextSibling())
+        {
+            yield /** @type {Element} */ (element);
+        }
+    }
+
+    /**
+     * Starts the observation of a shadow root and scans its content.
+     * @param {ShadowRoot}                shadowRoot
+     * @param {CustomElementsObserveInit} options    Options inherited from the target containing the shadow root's host
+     */
+    #observeShadowRoot( shadowRoot, options )
+    {
+        if (this.#shadowRoots.has(shadowRoot)) { return; }
+
+        const registry = CustomElementsLazyLoader.#findScopedRegistry(shadowRoot);
+
+        if (registry) { options = { ...options, registry: registry }; }
+
+        super.observe(shadowRoot, this.#resolveMutationObserverInit(options));
+        this.#shadowRoots.set(shadowRoot, options);
+
+        this.#scan(shadowRoot, options);
+    }
+
+    /**
+     * Callback for each newly attached open shadow root.
+     * @param {ShadowRoot} shadowRoot
+     */
+    #onShadowRootAttached( shadowRoot )
+    {
+        const options = this.#findOptions(shadowRoot.host);
+
+        // Hosts outside any target are handled once they are added.
+        if (options && options.shadow) { this.#observeShadowRoot(shadowRoot, { ...options, scan: true }); }
+    }
+
+    /**
+     * Finds the options of the target or shadow root containing the `node`.
+     * @param {Node} node
+     * @returns {CustomElementsObserveInit|null} `null` if the node is not within any target (anymore)
+     */
+    #findOptions( node )
+    {
+        for (; node; node = node.parentNode || node.host)
+        {
+            const options = this.#targets.get(node) || this.#shadowRoots.get(node);
+
+            if (options) { return options; }
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolves the custom-element name for the given `element` by analyzing its tag-name and `is`-Attribute.
+     * @param {Element}                        element
+     * @param {CustomElementsObserveInit|null} options Options of the observation the element was found by
+     * @returns {ElementNames}
+     */
+    #resolveNames( element, options )
+    {
+        const isAttr = (/** @type {Element}*/ element).getAttribute('is');
+        const names  = resolveElementNames((/** @type {Element}*/ element).tagName, isAttr);
+
+        names.registry = options && options.registry || this.#registry;
+
+        if (typeof isAttr === 'string' && names.isAttr === void 0) { this.#warnIgnoredIsAttr(names.tagName, isAttr); }
+
+        return names;
+    }
+
+    /**
+     * Warns once per tag-name and value about an `is`-Attribute on an autonomous custom-element, which is ignored.
+     * @param {string} tagName Lower-case tag-name
+     * @param {string} isAttr
+     */
+    #warnIgnoredIsAttr( tagName, isAttr )
+    {
+        const key = `<${tagName} is="${isAttr}">`;
+
+        if (this.#ignoredIsAttrs.has(key)) { return; }
+
+        this.#ignoredIsAttrs.add(key);
+        console.warn(`Ignoring is-Attribute of autonomous custom-element ${key}, as autonomous custom-elements cannot be customized.`);
+    }
+
+    /**
+     * Tests the `names` are to be handled by this instance.<br/>
+     * The results of validating and filtering are cached per element-name.
+     * @param {ElementNames} names
+     * @return {boolean} `true` if the element-name is a valid custom-element name, not already registered and is to be handled by this instance.
+     */
+    #shouldHandle( names )
+    {
+        const name = names.elementName;
+
+        if (!name || this.#isRegistered(name, names.registry)) { return false; }
+
+        let handled = this.#handledNames.get(name);
+
+        if (handled === void 0)
+        {
+            handled = isCustomElementName(name, this.#strictNames) && (!this.#filter || !!this.#filter(name));
+            this.#handledNames.set(name, handled);
+        }
+
+        return handled;
+    }
+
+    /**
+     * Test if the element-name is already registered.
+     * @param {string}                [name]
+     * @param {CustomElementRegistry} [registry] Defaults to the configured registry
+     * @return {boolean} `true` if the element-name is registered.
+     */
+    #isRegistered( name, registry )
+    {
+        return !!name && !!(registry || this.#registry).get(name);
+    }
+
+    /**
+     * Returns the record of the definition for the `names`, created if there is none yet.
+     * @param {ElementNames} names
+     * @return {DefinitionRecord}
+     */
+    #recordFor( names )
+    {
+        const records = this.#recordsOf(names.registry);
+        let   record  = records.get(names.elementName);
+
+        if (!record)
+        {
+            record = { status: 'pending', promise: null, error: null, siblings: new Map(), instances: new Set(), seen: new WeakSet(), event: null, duration: 0, count: 0 };
+            records.set(names.elementName, record);
+        }
+
+        return record;
+    }
+
+    /**
+     * Returns the definitions handled by this instance for the `registry`.
+     * @param {CustomElementRegistry} registry
+     * @return {Map<string,DefinitionRecord>}
+     */
+    #recordsOf( registry )
+    {
+        let records = this.#definitions.get(registry);
+
+        if (!records) { this.#definitions.set(registry, records = new Map()); }
+
+        return records;
+    }
+
+    /**
+     * Loads and defines the custom-element, once per element-name.<br/>
+     * Subsequent calls for the same name join the pending definition,
+     * failed definitions are not retried.<br/>
+     * With the configured concurrency exhausted, loading is queued.
+     * The returned promise never rejects, failures are reported by the `error`-hook.
+     * @param {ElementNames} names
+     * @param {boolean}      [cancellable] Whether the definition is requested by elements only, to be cancelled once all got removed
+     * @return {Promise<void>}
+     */
+    #define( names, cancellable = false )
+    {
+        const record = this.#recordFor(names);
+        const queued = this.#queue.get(record);
+
+        if (queued && !cancellable) { queued.cancellable = false; }
+
+        if (record.promise) { return record.promise; }
+
+        /** @type {CustomElementLoadEvent} */
+        const event = {
+                          type       : 'loadstart',
+                          elementName: names.elementName,
+                          tagName    : typeof names.isAttr === 'string' ? names.tagName : void 0,
+                          url        : null,
+                          startTime  : performance.now(),
+                          duration   : 0,
+                      };
+
+        const loading = this.#running < this.#concurrency ? this.#startLoad(names, event, record) : this.#enqueue(names, event, record, cancellable);
+        const promise = loading
+            .then(( ctor ) =>
+            {
+                const extended = typeof names.isAttr === 'string' || !!ctor && typeof ctor.extends === 'string';
+
+                return this.#polyfill && extended ? this.#loadPolyfill().then(() => ctor) : ctor;
+            })
+            .then(( ctor ) =>
+            {
+                const options = {};
+
+                if (typeof names.isAttr === 'string') { options.extends = names.tagName; }
+                // Without element, the constructor may provide the tag-name to extend.
+                else if (!names.tagName && ctor && typeof ctor.extends === 'string') { options.extends = ctor.extends; }
+
+                // If the constructor is explicitly null, we assume that this is intentionally to avoid the actual definition.
+                if (ctor === null)
+                {
+                    record.status = 'skipped';
+                    this.#report('skipped', event);
+                    this.#settle(record, names.registry);
+                    this.#failMissingSiblings(record, names.registry, event);
+                    return;
+                }
+
+                if (typeof ctor !== 'function') { ctor = this.#defineSiblings(names, ctor, event); }
+
+                this.#defineElement(names, ctor, options);
+                record.status = 'defined';
+                this.#report('defined', event);
+                this.#settle(record, names.registry);
+                this.#failMissingSiblings(record, names.registry, event);
+            })
+            .catch(( error ) =>
+            {
+                // Cancelled while queued, the definition starts over once any element occurs again.
+                if (record.promise !== promise) { return; }
+
+                record.status = 'failed';
+                record.error  = new Error(`Error defining element '${names.elementName}'.`, { cause: error });
+                this.#report('error', { ...event, error: record.error });
+                this.#settle(record, names.registry);
+
+                for (const sibling of record.siblings.values())
+                {
+                    if (sibling.status !== 'pending') { continue; }
+
+                    sibling.status = 'failed';
+                    sibling.error  = record.error;
+                    this.#settle(sibling, names.registry);
+                }
+            });
+
+        record.event   = event;
+        record.promise = promise;
+
+        for (const element of record.instances) { this.#markLoading(element); }
+
+        return promise;
+    }
+
+    /**
+     * Marks the `element` of a definition started loading by the loading state attribute.
+     * @param {Element} element
+     */
+    #markLoading( element )
+    {
+        if (!this.#stateAttributes) { return; }
+
+        element.removeAttribute(this.#stateAttributes.error);
+        element.setAttribute(this.#stateAttributes.loading, '');
+    }
+
+    /**
+     * Starts loading the module for the custom-element, occupying a slot until loading settled.
+     * @param {ElementNames}           names
+     * @param {CustomElementLoadEvent} event
+     * @param {DefinitionRecord}       record Record of the pending definition
+     * @return Promise<CustomElementConstructor|CustomElementDefinitions|null>
+     */
+    #startLoad( names, event, record )
+    {
+        this.#running++;
+
+        // Time spent in the queue does not count as loading.
+        event.startTime = performance.now();
+
+        return this.#load(names, event, record).finally(() =>
+        {
+            this.#running--;
+            this.#startQueued();
+        });
+    }
+
+    /**
+     * Queues loading the module for the custom-element, until a slot is free.<br/>
+     * Its priority is inferred once a slot is free, from the elements found until then.
+     * @param {ElementNames}           names
+     * @param {CustomElementLoadEvent} event
+     * @param {DefinitionRecord}       record      Record of the pending definition
+     * @param {boolean}                cancellable Whether to cancel loading, if all elements got removed before its turn
+     * @return Promise<CustomElementConstructor|CustomElementDefinitions|null> Rejects if cancelled
+     */
+    #enqueue( names, event, record, cancellable )
+    {
+        return new Promise(( resolve, reject ) =>
+        {
+            this.#queue.set(record, {
+                cancellable: cancellable,
+                start      : () => { resolve(this.#startLoad(names, event, record)); },
+                cancel     : () => { reject(new DOMException(`Loading '${names.elementName}' was cancelled, as its elements got removed.`, 'AbortError')); },
+            });
+        });
+    }
+
+    /**
+     * Starts queued loads by priority while slots are free, those of equal priority in order of their request.<br/>
+     * Priorities are inferred from the current position of all elements found so far, at once to read the layout only once.
+     * Loads requested by elements only get cancelled, if none of the elements is connected or within an observed target anymore.
+     */
+    #startQueued()
+    {
+        if (this.#running >= this.#concurrency || !this.#queue.size) { return; }
+
+        const priorities = new Map();
+
+        for (const record of this.#queue.keys()) { priorities.set(record, CustomElementsLazyLoader.#priorityOfAll(record.instances)); }
+
+        while (this.#running < this.#concurrency && this.#queue.size)
+        {
+            let next = null;
+
+            for (const record of this.#queue.keys())
+            {
+                if (!next || priorities.get(record) < priorities.get(next)) { next = record; }
+            }
+
+            const record = next;
+            const queued = this.#queue.get(record);
+
+            this.#queue.delete(record);
+
+            // Observed trees need not be connected, eg. when built up before insertion.
+            if (!queued.cancellable || [...record.instances].some(( element ) => element.isConnected || this.#findOptions(element))) { queued.start(); continue; }
+
+            // Elements found again get counted again.
+            for (const element of record.instances)
+            {
+                record.seen.delete(element);
+                record.count--;
+
+                if (this.#stateAttributes) { element.removeAttribute(this.#stateAttributes.loading); }
+            }
+
+            record.instances.clear();
+            record.promise = null;
+            record.event   = null;
+            queued.cancel();
+        }
+    }
+
+    /**
+     * Reserves the definitions of the elements sharing the module with the custom-element of the given `element-name`,
+     * so they join the pending definition instead of loading the module again.
+     * @param {ElementNames}        names
+     * @param {CustomElementModule} module
+     * @param {DefinitionRecord}    record Record of the pending definition
+     */
+    #reserveSiblings( names, module, record )
+    {
+        if (!module.exports) { return; }
+
+        for (const name of Object.keys(module.exports))
+        {
+            if (name === names.elementName) { continue; }
+
+            const sibling = this.#recordFor({ elementName: name, registry: names.registry });
+
+            if (sibling.promise) { continue; }
+
+            // The record's promise gets assigned after loading started.
+            sibling.promise = Promise.resolve().then(() => record.promise);
+            sibling.event   = record.event;
+
+            record.siblings.set(name, sibling);
+        }
+    }
+
+    /**
+     * Fails the reserved siblings the loaded module did not provide, eg. if the loader ignored `context.exports`,
+     * so they do not stay pending forever.
+     * @param {DefinitionRecord}       record   Record of the settled definition
+     * @param {CustomElementRegistry}  registry
+     * @param {CustomElementLoadEvent} event
+     */
+    #failMissingSiblings( record, registry, event )
+    {
+        for (const [ name, sibling ] of record.siblings)
+        {
+            if (sibling.status !== 'pending') { continue; }
+
+            sibling.status = 'failed';
+            sibling.error  = new Error(`Error defining element '${name}'.`, { cause: new TypeError(`Module '${event.url}' did not provide '${name}'.`) });
+            this.#report('error', { ...event, elementName: name, tagName: void 0, error: sibling.error });
+            this.#settle(sibling, registry);
+        }
+    }
+
+    /**
+     * Defines all custom-elements provided by a module, except the one with the given `element-name`.<br/>
+     * Sibling elements are defined as autonomous custom-elements,
+     * unless their constructor provides the tag-name to extend as static `extends`.
+     * @param {ElementNames}              names
+     * @param {CustomElementDefinitions}  definitions
+     * @param {CustomElementLoadEvent}    event
+     * @return {CustomElementConstructor} The constructor for the custom-element with the given `names`
+     * @throws {TypeError}
+     */
+    #defineSiblings( names, definitions, event )
+    {
+        definitions = definitions instanceof Map ? definitions : new Map(Object.entries(definitions || {}));
+
+        const ctor = definitions.get(names.elementName);
+
+        if (typeof ctor !== 'function') { throw new TypeError(`Loaded definitions do not provide a constructor for '${names.elementName}'.`); }
+
+        for (const [ name, siblingCtor ] of definitions)
+        {
+            if (name === names.elementName) { continue; }
+
+            const sibling = this.#recordFor({ elementName: name, registry: names.registry });
+
+            if (sibling.status !== 'pending') { continue; }
+
+            if (!sibling.promise) { sibling.promise = Promise.resolve(); }
+            if (!sibling.event)   { sibling.event   = event; }
+
+            const tagName = siblingCtor && typeof siblingCtor.extends === 'string' ? siblingCtor.extends : void 0;
+
+            try
+            {
+                this.#defineElement({ elementName: name, registry: names.registry }, siblingCtor, tagName ? { extends: tagName } : {});
+                sibling.status = 'defined';
+                this.#report('defined', { ...event, elementName: name, tagName: tagName });
+            }
+            catch ( error )
+            {
+                sibling.status = 'failed';
+                sibling.error  = new Error(`Error defining element '${name}'.`, { cause: error });
+                this.#report('error', { ...event, elementName: name, tagName: tagName, error: sibling.error });
+            }
+
+            this.#settle(sibling, names.registry);
+        }
+
+        return ctor;
+    }
+
+    /**
+     * Defines the custom-element at its registry, unless the very same constructor is already defined for the name.<br/>
+     * Constructors of customized built-in elements are validated to extend the interface of the tag-name beforehand.
+     * @param {ElementNames}              names
+     * @param {CustomElementConstructor}  ctor
+     * @param {ElementDefinitionOptions}  options
+     * @throws
+     */
+    #defineElement( names, ctor, options )
+    {
+        if (ctor && Array.isArray(ctor.dependencies)) { this.#defineDependencies(ctor.dependencies, names.registry); }
+
+        if (names.registry.get(names.elementName) === ctor) { return; }
+
+        if (options.extends)
+        {
+            const base = document.createElement(options.extends).constructor;
+
+            if (typeof ctor !== 'function' || !(ctor.prototype instanceof base))
+            {
+                throw new TypeError(`Constructor of '${names.elementName}' does not extend ${base.name}, as needed to customize <${options.extends}>.`);
+            }
+        }
+
+        names.registry.define(names.elementName, ctor, options);
+    }
+
+    /**
+     * Loads and defines the dependencies declared by a constructor as static `dependencies` in parallel,
+     * regardless of the configured filter. Invalid names are ignored.
+     * @param {string[]}              dependencies Custom-element names
+     * @param {CustomElementRegistry} registry
+     */
+    #defineDependencies( dependencies, registry )
+    {
+        for (const dependency of dependencies)
+        {
+            const elementName = String(dependency).toLowerCase();
+
+            if (!isCustomElementName(elementName, this.#strictNames) || this.#isRegistered(elementName, registry)) { continue; }
+
+            this.#define({ elementName: elementName, tagName: '', registry: registry });
+        }
+    }
+
+    /**
+     * Releases the instances of a settled definition.<br/>
+     * With `{ discover: true }`, the instances of defined elements are scanned for further custom-elements, once they had the chance to render.
+     * @param {DefinitionRecord}      record
+     * @param {CustomElementRegistry} registry
+     */
+    #settle( record, registry )
+    {
+        const instances = [...record.instances];
+
+        record.instances.clear();
+
+        if (record.event) { record.duration = performance.now() - record.event.startTime; }
+
+        for (const instance of instances)
+        {
+            if (this.#stateAttributes) { instance.removeAttribute(this.#stateAttributes.loading); }
+
+            if (record.status === 'failed') { this.#markFailed(instance, record.error); this.#skip(instance); }
+        }
+
+        if (record.status !== 'defined' || !this.#discover || !instances.length) { return; }
+
+        setTimeout(() =>
+        {
+            for (const instance of instances)
+            {
+                if (instance.shadowRoot) { this.#discoverWithin(instance.shadowRoot, CustomElementsLazyLoader.#findScopedRegistry(instance.shadowRoot) || registry, true); }
+
+                this.#discoverWithin(instance, registry, true);
+            }
+        });
+    }
+
+    /**
+     * Marks the `element` of a permanently failed definition by the error state attribute
+     * and replaces its content by the fallback, if there is one.<br/>
+     * A `<template slot="fallback">` child of the element takes precedence over the configured fallback.
+     * @param {Element} element
+     * @param {Error}   error
+     */
+    #markFailed( element, error )
+    {
+        if (this.#stateAttributes) { element.setAttribute(this.#stateAttributes.error, ''); }
+
+        const template = [...element.children].find(( child ) => child instanceof HTMLTemplateElement && child.getAttribute('slot') === 'fallback');
+        let   content  = null;
+
+        try
+        {
+            if (template)                                           { content = template.content.cloneNode(true); }
+            else if (this.#fallback instanceof HTMLTemplateElement) { content = this.#fallback.content.cloneNode(true); }
+            else if (this.#fallback)                                { content = this.#fallback(element, error); }
+
+            if (content === null || content === void 0) { return; }
+
+            element.replaceChildren(content);
+        }
+        catch ( fallbackError )
+        {
+            console.error(`Error rendering fallback of element '${element.localName}'.`, fallbackError);
+        }
+    }
+
+    /**
+     * Scans the descendants of the `node`, including open shadow roots and template contents, for custom-elements.<br/>
+     * Elements found in the DOM are handled according to their loading strategy,
+     * those found in template contents get defined right away.
+     * @param {Element|DocumentFragment} node
+     * @param {CustomElementRegistry}    registry
+     * @param {boolean}                  live     `false` within template contents
+     */
+    #discoverWithin( node, registry, live )
+    {
+        for (const element of node.children)
+        {
+            const names = this.#resolveNames(element, { registry: registry });
+
+            if (this.#shouldHandle(names))
+            {
+                if (live) { this.#schedule(element, names); }
+                else      { this.#define(names); }
+            }
+
+            if (element.shadowRoot) { this.#discoverWithin(element.shadowRoot, CustomElementsLazyLoader.#findScopedRegistry(element.shadowRoot) || registry, live); }
+
+            if (element instanceof HTMLTemplateElement) { this.#discoverWithin(element.content, registry, false); }
+
+            this.#discoverWithin(element, registry, live);
+        }
+    }
+
+    /**
+     * Loads the module for the custom-element with the given `element-name`.<br/>
+     * Each attempt tries the resolved URLs in turn, failed attempts are retried with exponential backoff.
+     * @param {ElementNames}           names
+     * @param {CustomElementLoadEvent} event  Event to be populated with the resolved URL
+     * @param {DefinitionRecord}       record Record of the pending definition
+     * @return Promise<CustomElementConstructor|CustomElementDefinitions|null>
+     * @throws
+     */
+    async #load( names, event, record )
+    {
+        const elementName = names.elementName;
+
+        let resolved = this.#resolveUrl(elementName);
+
+        // Only await asynchronous resolvers, so synchronous ones start loading immediately.
+        if (resolved && typeof resolved.then === 'function') { resolved = await resolved; }
+
+        const modules  = this.#resolveModules(elementName, resolved);
+        const failures = [];
+
+        event.url = modules[0].url;
+        this.#report('loadstart', event);
+        this.#reserveSiblings(names, modules[0], record);
+
+        for (let attempt = 1; ; attempt++)
+        {
+            for (const module of modules)
+            {
+                event.url = module.url;
+
+                try { return await this.#loadAttempt(names, module, attempt); }
+                catch ( error ) { failures.push(new Error(`#${attempt} '${module.url}': ${error && error.message}`, { cause: error })); }
+            }
+
+            if (attempt >= this.#retry.attempts) { break; }
+
+            await new Promise(( resolve ) => setTimeout(resolve, this.#retry.delay * this.#retry.factor ** (attempt - 1)));
+        }
+
+        throw new AggregateError(
+            failures,
+            `Error loading constructor for custom-element '${elementName}', all attempts failed:\n${failures.map(( failure ) => failure.message).join('\n')}`
+        );
+    }
+
+    /**
+     * Sanitizes the candidate modules resolved for the custom-element with the given `element-name`.
+     * @param {string}                                                            elementName Lower-case element-name
+     * @param {URL|string|CustomElementModule|Array<URL|string|CustomElementModule>} resolved    Result of the CustomElementUrlResolver
+     * @return {CustomElementModule[]} At least one module, each with an URL
+     * @throws {SyntaxError|TypeError}
+     */
+    #resolveModules( elementName, resolved )
+    {
+        if (!Array.isArray(resolved)) { resolved = [resolved]; }
+
+        const modules = resolved.map(( module ) =>
+        {
+            let url = module;
+
+            if (module && typeof module === 'object' && !(module instanceof URL)) { url = module.url; }
+            else                                                                  { module = {}; }
+
+            if (typeof url === 'string')
+            {
+                try { url = new URL(url,  window.location); }
+                catch ( error ) { throw new SyntaxError(`Cannot parse provided URL '${url}' for '${elementName}'.`, { cause: error }); }
+            }
+
+            if (!(url instanceof URL)) { throw new TypeError(`Configured CustomElementUrlResolver did not provide an valid URL for '${elementName}'.`); }
+
+            if (!this.#isAllowed(url)) { throw new DOMException(`URL '${url}' for '${elementName}' is not allowed by the configured policy.`, 'SecurityError'); }
+
+            return { ...module, url: url };
+        });
+
+        if (!modules.length) { throw new TypeError(`Configured CustomElementUrlResolver did not provide an valid URL for '${elementName}'.`); }
+
+        return modules;
+    }
+
+    /**
+     * Tests if the configured policy allows loading from the `url`.<br/>
+     * Path prefixes match whole segments only, so `/js/modules` allows `/js/modules/x.js` but not `/js/modules-x/x.js`.
+     * @param {URL} url
+     * @return {boolean} `true` if there is no allowlist, or the URL matches the origin and path prefix of any entry.
+     */
+    #isAllowed( url )
+    {
+        const allow = this.#policy && this.#policy.allow;
+
+        return !allow || allow.some(( allowed ) =>
+        {
+            const prefix = allowed.pathname.endsWith('/') ? allowed.pathname : allowed.pathname + '/';
+
+            return url.origin === allowed.origin && (url.pathname === allowed.pathname || url.pathname.startsWith(prefix));
+        });
+    }
+
+    /**
+     * Returns the subresource integrity hash configured for the custom-element.
+     * @param {string} elementName Lower-case element-name
+     * @return {string|undefined}
+     */
+    #integrityOf( elementName )
+    {
+        return this.#policy && this.#policy.integrity ? this.#policy.integrity(elementName) || void 0 : void 0;
+    }
+
+    /**
+     * Injects a `<link rel="modulepreload">` for the `href`, once per URL.<br/>
+     * Classic scripts get preloaded as script, modules of the global module loader are not hinted at all.
+     * @param {string}                  href
+     * @param {string}                  [integrity] Subresource integrity hash
+     * @param {CustomElementModuleType} [type]      Type of the module
+     */
+    #preloadModule( href, integrity, type )
+    {
+        if (this.#prefetched.has(href) || type === 'system') { return; }
+
+        const link = document.createElement('link');
+
+        if (type === 'script') { link.rel = 'preload'; link.as = 'script'; }
+        else                   { link.rel = 'modulepreload'; }
+
+        link.href = href;
+
+        if (integrity) { link.setAttribute('integrity', integrity); }
+
+        this.#prefetched.add(href);
+        document.head.append(link);
+    }
+
+    /**
+     * Loads the constructor from the `module`, limited by the configured timeout.
+     * @param {ElementNames}        names
+     * @param {CustomElementModule} module
+     * @param {number}              attempt Number of the attempt, starting at `1`
+     * @return Promise<CustomElementConstructor|CustomElementDefinitions|null>
+     * @throws
+     */
+    #loadAttempt( names, module, attempt )
+    {
+        const elementName = names.elementName;
+        const timeout     = this.#retry.timeout;
+        const integrity   = this.#integrityOf(elementName);
+        const context     = {
+                                elementName: elementName,
+                                export     : module.export,
+                                exports    : module.exports,
+                                integrity  : integrity,
+                                version    : module.version,
+                                type       : module.type,
+                                registry   : names.registry,
+                                timeout    : timeout || void 0,
+                                attempt    : attempt,
+                            };
+        const policy      = this.#policy && this.#policy.trustedTypes;
+        const url         = policy ? policy.createScriptURL(module.url.href) : module.url;
+
+        // Dynamic imports cannot verify integrity, but share the module fetched by the preload link (best-effort).
+        if (integrity && (!module.type || module.type === 'module')) { this.#preloadModule(module.url.href, integrity); }
+
+        if (!timeout) { return this.#loader(url, context); }
+
+        let timer;
+
+        return Promise.race([
+                this.#loader(url, context),
+                new Promise(( resolve, reject ) =>
+                {
+                    timer = setTimeout(() => { reject(new DOMException(`Loading timed out after ${timeout}ms.`, 'TimeoutError')); }, timeout);
+                }),
+            ])
+            .finally(() => { clearTimeout(timer); });
+    }
+
+    /**
+     * Reports a lifecycle event to the configured hook.<br/>
+     * Without hook, skipped definitions and errors are logged to the console.
+     * Errors thrown by hooks are logged, so they affect neither the definition nor its state.
+     * @param {'loadstart'|'defined'|'skipped'|'error'} type
+     * @param {CustomElementLoadEvent}                  event
+     */
+    #report( type, event )
+    {
+        const hook = this.#hooks[type];
+
+        event = { ...event, type: type, duration: performance.now() - event.startTime };
+
+        if (hook)
+        {
+            try { hook(event); }
+            catch ( error ) { console.error(`Error in ${type}-hook for '${event.elementName}'.`, error); }
+        }
+        else if (type === 'skipped') { console.warn(`Custom-Element constructor for '${event.elementName}' is null, skipping definition!`); }
+        else if (type === 'error')   { console.error(event.error); }
+    }
+
+    /**
+     * Returns the Trusted Types policy shared by all instances, created on first use.<br/>
+     * It passes URLs through, as they are checked against the allowlist beforehand.
+     * @return {TrustedTypePolicy|null} `null` if Trusted Types are not supported
+     */
+    static #createTrustedTypesPolicy()
+    {
+        if (typeof trustedTypes === 'undefined') { return null; }
+
+        if (!CustomElementsLazyLoader.#trustedTypesPolicy)
+        {
+            CustomElementsLazyLoader.#trustedTypesPolicy = trustedTypes.createPolicy('custom-elements-lazy-loader', { createScriptURL: ( url ) => url });
+        }
+
+        return CustomElementsLazyLoader.#trustedTypesPolicy;
+    }
+
+    /**
+     * Patches the prototype and static members of the defined constructor by the ones of the `update`,
+     * as defined constructors cannot be replaced.
+     * @param {CustomElementConstructor} ctor
+     * @param {CustomElementConstructor} update
+     */
+    static #patchConstructor( ctor, update )
+    {
+        for (const key of Reflect.ownKeys(update.prototype))
+        {
+            if (key !== 'constructor') { Object.defineProperty(ctor.prototype, key, Object.getOwnPropertyDescriptor(update.prototype, key)); }
+        }
+
+        for (const key of Reflect.ownKeys(update))
+        {
+            if (!['prototype', 'name', 'length'].includes(key)) { Object.defineProperty(ctor, key, Object.getOwnPropertyDescriptor(update, key)); }
+        }
+    }
+
+    /**
+     * Returns the highest priority of the `elements`, without elements, eg. when preloaded, the default one.
+     * @param {Set<Element>} elements
+     * @return {number}
+     */
+    static #priorityOfAll( elements )
+    {
+        let priority = elements.size ? 3 : 2;
+
+        for (const element of elements)
+        {
+            priority = Math.min(priority, CustomElementsLazyLoader.#priorityOf(element));
+
+            if (!priority) { break; }
+        }
+
+        return priority;
+    }
+
+    /**
+     * Returns the priority to load the custom-element of the `element` with, lower ones first:<br/>
+     * `0` within the viewport, `1` with `fetchpriority="high"`, `2` by default and `3` with `fetchpriority="low"`.
+     * @param {Element} element
+     * @return {number}
+     */
+    static #priorityOf( element )
+    {
+        const rect          = element.getBoundingClientRect();
+        const fetchPriority = (element.getAttribute('fetchpriority') || '').toLowerCase();
+
+        // Elements not rendered have an empty rect.
+        if ((rect.width || rect.height) && rect.bottom >= 0 && rect.right >= 0 && rect.top <= window.innerHeight && rect.left <= window.innerWidth) { return 0; }
+
+        if (fetchPriority === 'high') { return 1; }
+        if (fetchPriority === 'low')  { return 3; }
+
+        return 2;
+    }
+
+    /**
+     * Loads the configured polyfill, once per page and only if customized built-in elements are not supported.
+     * @return {Promise<void>}
+     */
+    #loadPolyfill()
+    {
+        if (!CustomElementsLazyLoader.#polyfilling)
+        {
+            CustomElementsLazyLoader.#polyfilling = CustomElementsLazyLoader.#supportsCustomizedBuiltIns()
+                ? Promise.resolve()
+                : Promise.resolve().then(this.#polyfill).then(() => {}, ( error ) =>
+                {
+                    // Failures get retried by the next definition.
+                    CustomElementsLazyLoader.#polyfilling = null;
+                    throw new Error(`Error loading polyfill for customized built-in elements.`, { cause: error });
+                });
+        }
+
+        return CustomElementsLazyLoader.#polyfilling;
+    }
+
+    /**
+     * Tests if the browser supports customized built-in elements, without defining anything.<br/>
+     * Supporting browsers keep the `is` value of elements created with it, which gets serialized as `is`-Attribute.
+     * @return {boolean}
+     */
+    static #supportsCustomizedBuiltIns()
+    {
+        try
+        {
+            return / is="custom-elements-lazy-loader-probe"/.test(document.createElement('p', { is: 'custom-elements-lazy-loader-probe' }).outerHTML);
+        }
+        catch
+        {
+            return false;
+        }
+    }
+
+    /**
+     * Tests if the `node` is the `ancestor` or within it, including shadow trees of its descendants.
+     * @param {Node} node
+     * @param {Node} ancestor
+     * @return {boolean}
+     */
+    static #isWithin( node, ancestor )
+    {
+        for (; node; node = node.parentNode || node.host)
+        {
+            if (node === ancestor) { return true; }
+        }
+
+        return false;
+    }
+
+    /**
+     * Finds the scoped registry of a shadow root.
+     * @param {Node} node
+     * @return {CustomElementRegistry|null} `null` if the `node` is no shadow root or uses the global registry
+     */
+    static #findScopedRegistry( node )
+    {
+        if (!(node instanceof ShadowRoot)) { return null; }
+
+        const registry = node.customElementRegistry || node.customElements;
+
+        return registry && registry !== globalThis.customElements ? registry : null;
+    }
+
+    /**
+     * Patches `Element.prototype.attachShadow` to notify the `observer` about newly attached open shadow roots.
+     * @param {CustomElementsLazyLoader} observer
+     */
+    static #observeAttachShadow( observer )
+    {
+        CustomElementsLazyLoader.#shadowObservers.add(observer);
+
+        if (CustomElementsLazyLoader.#attachShadow) { return; }
+
+        const attachShadow = CustomElementsLazyLoader.#attachShadow = Element.prototype.attachShadow;
+
+        Element.prototype.attachShadow = function( init )
+        {
+            const shadowRoot = attachShadow.call(this, init);
+
+            if (shadowRoot.mode === 'open')
+            {
+                for (const shadowObserver of CustomElementsLazyLoader.#shadowObservers) { shadowObserver.#onShadowRootAttached(shadowRoot); }
+            }
+
+            return shadowRoot;
+        };
+    }
+
+    /**
+     * Removes the `observer` from being notified about newly attached shadow roots
+     * and restores `Element.prototype.attachShadow` if no observer is left.
+     * @param {CustomElementsLazyLoader} observer
+     */
+    static #unobserveAttachShadow( observer )
+    {
+        CustomElementsLazyLoader.#shadowObservers.delete(observer);
+
+        if (!CustomElementsLazyLoader.#attachShadow || CustomElementsLazyLoader.#shadowObservers.size) { return; }
+
+        Element.prototype.attachShadow         = CustomElementsLazyLoader.#attachShadow;
+        CustomElementsLazyLoader.#attachShadow = null;
+    }
+
+    /**
+     * Default CustomElementUrlResolver
+     * @type {CustomElementUrlResolver}
+     * @param {string} name Element-Name
+     * @return {URL} URL (_protocol://domain.tld/js/<name>-element.js_)
+     */
+    static #resolveUrlDefault( name )
+    {
+        return new URL(resolveDefaultPath(name),  window.location);
+    }
+
+    /**
+     * Default CustomElementLoader<br/>
+     * Classic scripts are injected, modules of type `system` are imported by the global module loader.
+     * @type {CustomElementLoader}
+     * @param {URL}                        url
+     * @param {CustomElementLoaderContext} [context]
+     * @return Promise<CustomElementConstructor|CustomElementDefinitions>
+     * @throws {TypeError}
+     */
+    static async #loadDefault( url, context )
+    {
+        const exportName = context && context.export || 'default';
+        const exports    = context && context.exports;
+        const type       = context && context.type || 'module';
+
+        if (type === 'script') { return loadScript(url, context); }
+
+        if (type !== 'module' && type !== 'system') { throw new TypeError(`Expecting type of module '${url}' to be one of 'module', 'script', 'system'.`); }
+
+        // Browsers keep failed module fetches in their module map, so retries bypass it by a distinct URL.
+        // Trusted URLs cannot be altered and get retried as they are.
+        if (type === 'module' && context && context.attempt > 1 && url instanceof URL && url.protocol !== 'blob:' && url.protocol !== 'data:')
+        {
+            url = new URL(url);
+            url.searchParams.set('retry', String(context.attempt));
+        }
+
+        // Leverage native dynamic import to load the module, unless a global module loader is needed.
+        const module = type === 'system' ? await importSystem(url) : await import(url);
+
+        if (module && exports)
+        {
+            const definitions = {};
+
+            for (const [ name, exportName ] of Object.entries(exports))
+            {
+                if (!module[exportName]) { throw new TypeError(`URL '${url}' does not point do an ES-Module with export '${exportName}' for '${name}'.`); }
+
+                definitions[name] = module[exportName];
+            }
+
+            return definitions;
+        }
+
+        if (!module || !module[exportName]) { throw new TypeError(`URL '${url}' does not point do an ES-Module with ${exportName === 'default' ? 'default export' : `export '${exportName}'`}.`); }
+
+        return module[exportName];
+    }
+}
+
+/**
  * Resolved element-names, all lower-case.
  * @typedef {Object} ElementNames
  *
- * @property {string|""} elementName
- * @property {string}    tagName
- * @property {string|""} [isAttr]
+ * @property {string|""}             elementName
+ * @property {string|""}             tagName     Empty, if not resolved from an element
+ * @property {string|""}             [isAttr]
+ * @property {CustomElementRegistry} registry    Registry to define the custom-element at
+ */
+
+/**
+ * Sanitized security policy.
+ * @typedef {Object} CustomElementsLazyLoaderPolicy
+ *
+ * @property {URL[]|null}                            allow        Allowed origins and path prefixes
+ * @property {(function(string):string|void)|null}   integrity    Resolves the integrity hash by element-name
+ * @property {TrustedTypePolicy|null}                trustedTypes Policy to create the URLs passed to the loader
+ */
+
+/**
+ * Load waiting for a free slot.
+ * @typedef {Object} QueuedLoad
+ *
+ * @property {boolean}    cancellable Whether requested by elements only
+ * @property {function()} start       Starts loading
+ * @property {function()} cancel      Rejects the queued load
+ */
+
+/**
+ * State of a single custom-element definition.
+ * @typedef {Object} DefinitionRecord
+ *
+ * @property {'pending'|'defined'|'skipped'|'failed'} status
+ * @property {Promise<void>|null}                     promise   `null` while the definition is deferred
+ * @property {Error|null}                             error
+ * @property {Map<string,DefinitionRecord>}           siblings  Definitions reserved to join this one, by element-name
+ * @property {Set<Element>}                           instances Elements found while pending, marked by the loading state attribute
+ * @property {CustomElementLoadEvent|null}            event     Event of the definition, shared with its siblings
+ * @property {number}                                 duration  Milliseconds from start until settled
+ * @property {WeakSet<Element>}                       seen      Elements found
+ * @property {number}                                 count     Number of elements found before the custom-element got defined
  */
\ No newline at end of file
@@ -0,0 +1,16 @@
+/// <reference path="./custom-elements-lazy-loader.d.ts" />
+
+/**
+ * `CustomElementLoader` for classic scripts defining their custom-elements themselves.
+ * Injects a `<script>` for the `url`, once per URL, and resolves once the custom-element is defined at the `context.registry`.
+ * With `context.exports`, it resolves once all custom-elements provided by the script are defined.
+ * Fails, if the script does not define them within `context.timeout`, or 10 seconds, after it loaded.
+ */
+export function loadScript(url: URL|TrustedScriptURL, context: CustomElementLoaderContext): Promise<CustomElementConstructor|CustomElementDefinitions>;
+
+/**
+ * Imports the `url` by the global module loader, either SystemJS or an AMD loader providing `require()`.
+ * AMD modules providing a constructor are provided as default export.
+ * @return The module's exports
+ */
+export function importSystem(url: URL|TrustedScriptURL): Promise<Record<string,any>>;
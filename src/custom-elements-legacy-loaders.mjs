@@ -0,0 +1,102 @@
+/**
+ * Milliseconds a classic script may take to define its custom-elements once it is loaded, unless limited by `context.timeout`.
+ * @type {number}
+ */
+const SCRIPT_TIMEOUT = 10000;
+
+/**
+ * Pending and settled loads of classic scripts by URL, so scripts defining multiple custom-elements are injected once.
+ * @type {Map<string,Promise<void>>}
+ */
+const scripts = new Map();
+
+/**
+ * `CustomElementLoader` for classic scripts defining their custom-elements themselves.<br/>
+ * Injects a `<script>` for the `url`, once per URL, and resolves once the custom-element is defined at the `context.registry`.
+ * With `context.exports`, it resolves once all custom-elements provided by the script are defined.
+ * Fails, if the script does not define them within `context.timeout`, or 10 seconds, after it loaded.
+ *
+ * @type {CustomElementLoader}
+ * @param {URL|TrustedScriptURL}       url
+ * @param {CustomElementLoaderContext} context
+ * @return {Promise<CustomElementConstructor|CustomElementDefinitions>}
+ * @throws {Error|DOMException}
+ */
+export async function loadScript( url, context )
+{
+    const elementName = context.elementName;
+    const registry    = context.registry || customElements;
+    const timeout     = context.timeout || SCRIPT_TIMEOUT;
+    const names       = context.exports ? [...new Set([elementName, ...Object.keys(context.exports)])] : [elementName];
+    const href        = String(url);
+
+    if (!scripts.has(href))
+    {
+        const script = document.createElement('script');
+
+        scripts.set(href, new Promise(( resolve, reject ) =>
+        {
+            script.addEventListener('load', () => { resolve(); });
+            script.addEventListener('error', () =>
+            {
+                // Failed scripts may be retried.
+                scripts.delete(href);
+                script.remove();
+                reject(new Error(`Error loading script '${href}'.`));
+            });
+        }));
+
+        if (context.integrity)
+        {
+            script.setAttribute('integrity', context.integrity);
+            script.crossOrigin = 'anonymous';
+        }
+
+        // Assigning the URL as is keeps a TrustedScriptURL trusted.
+        script.src = url;
+        document.head.append(script);
+    }
+
+    await scripts.get(href);
+
+    let timer;
+
+    const ctors = await Promise.race([
+            Promise.all(names.map(( name ) => registry.whenDefined(name))),
+            new Promise(( resolve, reject ) =>
+            {
+                timer = setTimeout(() =>
+                {
+                    const missing = names.filter(( name ) => !registry.get(name));
+
+                    reject(new DOMException(`Script '${href}' did not define '${missing.join("', '")}' within ${timeout}ms.`, 'TimeoutError'));
+                }, timeout);
+            }),
+        ])
+        .finally(() => { clearTimeout(timer); });
+
+    if (!context.exports) { return ctors[0]; }
+
+    return new Map(names.map(( name, index ) => [name, ctors[index]]));
+}
+
+/**
+ * Imports the `url` by the global module loader, either SystemJS or an AMD loader providing `require()`.<br/>
+ * AMD modules providing a constructor are provided as default export.
+ *
+ * @param {URL|TrustedScriptURL} url
+ * @return {Promise<Object>} The module's exports
+ * @throws {TypeError}
+ */
+export async function importSystem( url )
+{
+    const href = String(url);
+
+    if (globalThis.System && typeof globalThis.System.import === 'function') { return globalThis.System.import(href); }
+
+    if (typeof globalThis.require !== 'function') { throw new TypeError(`Expecting a global module loader, either SystemJS or AMD, to load '${href}'.`); }
+
+    const module = await new Promise(( resolve, reject ) => { globalThis.require([href], resolve, reject); });
+
+    return typeof module === 'function' ? { default: module } : module;
+}
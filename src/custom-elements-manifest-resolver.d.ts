@@ -0,0 +1,56 @@
+/// <reference path="./custom-elements-lazy-loader.d.ts" />
+
+/**
+ * Creates a `CustomElementUrlResolver` from a manifest, mapping element-names to module URLs.
+ * The manifest may be provided as object, or as URL to load the JSON manifest from.
+ * In the latter case, the resolver resolves asynchronously once the manifest is loaded.
+ */
+export default function createManifestResolver(manifest: CustomElementsManifest|URL|string, options?: CustomElementsManifestResolverInit): CustomElementUrlResolver;
+
+interface CustomElementsManifestResolverInit
+{
+    /** Base URL for the manifest's module URLs, overrides the manifest's `baseUrl`. */
+    baseUrl?: URL|string;
+}
+
+/**
+ * Maps element-names to module URLs.
+ * Either provides the entries as `elements`, or is flat, mapping element-names at top level.
+ */
+type CustomElementsManifest = {
+    /**
+     * Base URL for the module URLs.
+     * Relative to the manifest's URL, if loaded from URL, else to the document's base URL.
+     */
+    baseUrl?: string;
+
+    elements: CustomElementsManifestEntries;
+} | CustomElementsManifestEntries & { baseUrl?: string };
+
+/**
+ * Maps element-names to module URLs or entries.
+ * Keys are either exact element-names or patterns using `*` as wildcard, eg. `acme-*`.
+ * Exact names take precedence over patterns, more specific patterns over less specific ones.
+ */
+interface CustomElementsManifestEntries
+{
+    [name: string]: string|CustomElementsManifestEntry;
+}
+
+interface CustomElementsManifestEntry
+{
+    /** Module URL, relative to the base URL. `{name}` gets replaced by the element-name. */
+    url: string;
+
+    /**
+     * Name of the export providing the constructor, if not `default`.
+     * Elements sharing the same URL with named exports get defined at once.
+     */
+    export?: string;
+
+    /** Version or hash of the module, eg. to invalidate cached modules by. */
+    version?: string|number;
+
+    /** Type of the module, eg. `script` for classic scripts (_default_: `module`). */
+    type?: CustomElementModuleType;
+}
@@ -0,0 +1,152 @@
+import { documentBaseUrl } from "./custom-elements-options.mjs";
+
+/**
+ * Creates a `CustomElementUrlResolver` from a manifest, mapping element-names to module URLs.<br/>
+ * The manifest may be provided as object, or as URL to load the JSON manifest from.
+ * In the latter case, the resolver resolves asynchronously once the manifest is loaded.
+ *
+ * @param {CustomElementsManifest|URL|string}  manifest  Manifest or the URL of the JSON manifest
+ * @param {CustomElementsManifestResolverInit} [options] Options to configure resolution
+ * @return {CustomElementUrlResolver}
+ * @throws {TypeError}
+ */
+export default function createManifestResolver( manifest, options )
+{
+    const baseUrl = options && options.baseUrl;
+
+    if (typeof manifest === 'string' || manifest instanceof URL)
+    {
+        const manifestUrl = new URL(manifest, documentBaseUrl());
+        const resolving   = fetch(manifestUrl)
+                                .then(( response ) =>
+                                {
+                                    if (!response.ok) { throw new Error(`Server responded with status ${response.status}.`); }
+
+                                    return response.json();
+                                })
+                                .then(( json ) => compileManifest(json, baseUrl, manifestUrl))
+                                .catch(( error ) => { throw new Error(`Error loading custom-elements manifest from '${manifestUrl}'.`, { cause: error }); });
+
+        // Failures are reported for each resolution, not upon loading the manifest.
+        resolving.catch(() => {});
+
+        return ( name ) => resolving.then(( resolve ) => resolve(name));
+    }
+
+    if (!manifest || typeof manifest !== 'object') { throw new TypeError(`Expecting provided manifest to be type of object, URL or string.`); }
+
+    return compileManifest(manifest, baseUrl, documentBaseUrl());
+}
+
+/**
+ * Compiles the `manifest` into a resolver.
+ * @param {CustomElementsManifest} manifest
+ * @param {URL|string|undefined}   baseUrl     Base URL overriding the one of the manifest
+ * @param {URL|string|undefined}   fallbackUrl URL the base URL is relative to
+ * @return {CustomElementUrlResolver}
+ * @throws {TypeError}
+ */
+function compileManifest( manifest, baseUrl, fallbackUrl )
+{
+    const elements = manifest.elements && typeof manifest.elements === 'object' ? manifest.elements : manifest;
+    const base     = new URL(baseUrl || manifest.baseUrl || '', fallbackUrl);
+    const exact    = new Map();
+    const patterns = [];
+
+    for (const [ key, entry ] of Object.entries(elements))
+    {
+        // A flat manifest may still declare its base URL.
+        if (elements === manifest && key === 'baseUrl') { continue; }
+
+        const module = compileEntry(key, entry);
+        const name   = key.toLowerCase();
+
+        if (!name.includes('*')) { exact.set(name, module); continue; }
+
+        patterns.push({
+            pattern    : new RegExp(`^${name.split('*').map(( part ) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`),
+            specificity: name.replace(/\*/g, '').length,
+            module     : module,
+        });
+    }
+
+    // The more literal characters a pattern has, the more specific it is.
+    patterns.sort(( a, b ) => b.specificity - a.specificity);
+
+    groupExports(exact);
+
+    return ( name ) =>
+    {
+        let module = exact.get(name);
+
+        if (!module)
+        {
+            const match = patterns.find(( pattern ) => pattern.pattern.test(name));
+
+            if (!match) { return null; }
+
+            module = match.module;
+        }
+
+        const url = new URL(module.url.replaceAll('{name}', name), base);
+
+        if (!module.export && !module.version && !module.type) { return url; }
+
+        const resolved = { url: url };
+
+        if (module.export)  { resolved.export  = module.export; }
+        if (module.exports) { resolved.exports = module.exports; }
+        if (module.version) { resolved.version = module.version; }
+        if (module.type)    { resolved.type    = module.type; }
+
+        return resolved;
+    };
+}
+
+/**
+ * Provides the named exports of all elements sharing a module URL to each of them,
+ * so they get defined at once.
+ * @param {Map<string,CustomElementsManifestEntry>} entries Entries by exact element-name
+ */
+function groupExports( entries )
+{
+    const groups = new Map();
+
+    for (const [ name, entry ] of entries)
+    {
+        if (!entry.export) { continue; }
+
+        if (!groups.has(entry.url)) { groups.set(entry.url, {}); }
+
+        groups.get(entry.url)[name] = entry.export;
+    }
+
+    for (const entry of entries.values())
+    {
+        const exports = entry.export && groups.get(entry.url);
+
+        if (exports && Object.keys(exports).length > 1) { entry.exports = exports; }
+    }
+}
+
+/**
+ * Returns the sanitized manifest entry.
+ * @param {string}                            key
+ * @param {string|CustomElementsManifestEntry} entry
+ * @return {CustomElementsManifestEntry}
+ * @throws {TypeError}
+ */
+function compileEntry( key, entry )
+{
+    if (typeof entry === 'string') { return { url: entry }; }
+
+    if (!entry || typeof entry.url !== 'string') { throw new TypeError(`Expecting manifest entry '${key}' to be type of string or { url: string }.`); }
+
+    if (entry.export !== void 0 && typeof entry.export !== 'string') { throw new TypeError(`Expecting export of manifest entry '${key}' to be type of string.`); }
+
+    if (entry.version !== void 0 && typeof entry.version !== 'string' && typeof entry.version !== 'number') { throw new TypeError(`Expecting version of manifest entry '${key}' to be type of string or number.`); }
+
+    if (entry.type !== void 0 && !['module', 'script', 'system'].includes(entry.type)) { throw new TypeError(`Expecting type of manifest entry '${key}' to be one of 'module', 'script', 'system'.`); }
+
+    return { url: entry.url, export: entry.export, version: entry.version !== void 0 ? String(entry.version) : void 0, type: entry.type };
+}
@@ -0,0 +1,33 @@
+/// <reference path="./custom-elements-lazy-loader.d.ts" />
+
+/**
+ * Wraps the `urlResolver`, so the modules resolved get cached persistently by a service worker,
+ * using the handler created by `createModuleCacheHandler()`.
+ * Module URLs get tagged by element-name and version, as provided by the manifest or by the `version` option.
+ * As they are tagged once resolved, preload hints, integrity hashes and the loader all get the same URL.
+ * Modules without version are resolved as is, all modules without active service worker are loaded as usual.
+ */
+export default function createCachingResolver(urlResolver: CustomElementUrlResolver|Map<string,URL|string>, options?: CustomElementsModuleCacheInit): CustomElementUrlResolver;
+
+/**
+ * Creates a handler for `fetch` events of a service worker, serving the modules tagged by `createCachingResolver()` from the Cache API.
+ * Cached modules are served without waiting on the network and revalidated in the background.
+ * Once a module is cached, the entries of other versions of the same custom-element are deleted.
+ * @return Returns whether the event was handled
+ */
+export function createModuleCacheHandler(options?: CustomElementsModuleCacheHandlerInit): (event: FetchEvent) => boolean;
+
+interface CustomElementsModuleCacheInit
+{
+    /**
+     * Version of the modules, or a function resolving it by element-name.
+     * The version provided by the manifest takes precedence.
+     */
+    version?: string|((elementName: string) => string|null|undefined);
+}
+
+interface CustomElementsModuleCacheHandlerInit
+{
+    /** Name of the cache to store the modules in (_default_: `custom-elements`). */
+    cacheName?: string;
+}
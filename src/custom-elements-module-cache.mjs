@@ -0,0 +1,127 @@
+import { documentBaseUrl, resolveUrlResolver } from "./custom-elements-options.mjs";
+
+/**
+ * Search parameters tagging the module URLs to be cached.
+ * @type {{ name: string, version: string }}
+ */
+const PARAMS = { name: 'custom-element', version: 'custom-element-version' };
+
+/**
+ * Wraps the `urlResolver`, so the modules resolved get cached persistently by a service worker,
+ * using the handler created by `createModuleCacheHandler()`.<br/>
+ * Module URLs get tagged by element-name and version, as provided by the manifest or by the `version` option.
+ * As they are tagged once resolved, preload hints, integrity hashes and the loader all get the same URL.
+ * Modules without version are resolved as is, all modules without active service worker are loaded as usual.
+ *
+ * @param {CustomElementUrlResolver|Map<string,URL|string>} urlResolver Resolver to wrap
+ * @param {CustomElementsModuleCacheInit}                   [options]   Options to configure caching
+ * @return {CustomElementUrlResolver}
+ * @throws {TypeError}
+ */
+export default function createCachingResolver( urlResolver, options )
+{
+    const version = options && options.version;
+    const sources = resolveUrlResolver(urlResolver);
+    const mapped  = sources.mappings;
+    const resolve = mapped ? ( name ) => mapped.get(name) : sources.urlResolver;
+
+    if (!resolve) { throw new TypeError(`Expecting provided urlResolver to be type of function or Map.`); }
+
+    if (version !== void 0 && typeof version !== 'function' && typeof version !== 'string') { throw new TypeError(`Expecting provided version to be type of function or string.`); }
+
+    return ( name ) =>
+    {
+        const resolved = resolve(name);
+        const fallback = typeof version === 'function' ? () => version(name) : () => version;
+
+        if (resolved && typeof resolved.then === 'function') { return resolved.then(( result ) => tag(result, name, fallback)); }
+
+        return tag(resolved, name, fallback);
+    };
+}
+
+/**
+ * Tags the URLs of the resolved modules having a version, all others are kept as is.
+ * @param {CustomElementUrlResolverResult} resolved
+ * @param {string}                         elementName
+ * @param {function():string|null|void}    fallback    Resolves the version, if not provided by the module
+ * @return {CustomElementUrlResolverResult}
+ */
+function tag( resolved, elementName, fallback )
+{
+    if (Array.isArray(resolved)) { return resolved.map(( module ) => tag(module, elementName, fallback)); }
+
+    if (resolved === null || resolved === void 0) { return resolved; }
+
+    const module  = typeof resolved === 'object' && !(resolved instanceof URL) ? resolved : null;
+    const version = module && module.version || fallback();
+
+    if (!version) { return resolved; }
+
+    const url = new URL(String(module ? module.url : resolved), documentBaseUrl());
+
+    url.searchParams.set(PARAMS.name,    elementName);
+    url.searchParams.set(PARAMS.version, String(version));
+
+    return module ? { ...module, url: url } : url;
+}
+
+/**
+ * Creates a handler for `fetch` events of a service worker, serving the modules tagged by `createCachingResolver()` from the Cache API.<br/>
+ * Cached modules are served without waiting on the network and revalidated in the background.
+ * Once a module is cached, the entries of other versions of the same custom-element are deleted.
+ *
+ * @param {CustomElementsModuleCacheHandlerInit} [options] Options to configure the cache
+ * @return {function(FetchEvent):boolean} Returns whether the event was handled
+ */
+export function createModuleCacheHandler( options )
+{
+    const cacheName = options && options.cacheName || 'custom-elements';
+
+    return ( event ) =>
+    {
+        const request = event.request;
+        const params  = new URL(request.url).searchParams;
+
+        if (request.method !== 'GET' || !params.get(PARAMS.name) || !params.get(PARAMS.version)) { return false; }
+
+        event.respondWith(caches.open(cacheName).then(async ( cache ) =>
+        {
+            const cached   = await cache.match(request);
+            const updating = update(cache, request, params.get(PARAMS.name));
+
+            if (!cached) { return updating; }
+
+            // Failed revalidations keep the cached module.
+            event.waitUntil(updating.catch(() => {}));
+
+            return cached;
+        }));
+
+        return true;
+    };
+}
+
+/**
+ * Fetches the module from the network and caches it, unless the response failed.
+ * @param {Cache}   cache
+ * @param {Request} request     Tagged module request
+ * @param {string}  elementName
+ * @return {Promise<Response>}
+ */
+async function update( cache, request, elementName )
+{
+    const response = await fetch(request);
+
+    if (!response.ok) { return response; }
+
+    await cache.put(request, response.clone());
+
+    // Entries of the same custom-element with other URLs are of other versions.
+    for (const key of await cache.keys())
+    {
+        if (key.url !== request.url && new URL(key.url).searchParams.get(PARAMS.name) === elementName) { await cache.delete(key); }
+    }
+
+    return response;
+}
@@ -0,0 +1,23 @@
+/// <reference path="./custom-elements-lazy-loader.d.ts" />
+
+/**
+ * Returns the sanitized filter, shared by the loader and the analyzer.
+ * @throws {TypeError}
+ */
+export function resolveFilter(filter?: CustomElementFilter|string[]|null, defaultFilter?: CustomElementFilter|null): CustomElementFilter|null;
+
+/**
+ * Returns the sanitized URL resolver, shared by the loader and the analyzer.
+ * A `Map` is returned as `mappings` as is, to be consulted before any resolver.
+ * @throws {TypeError}
+ */
+export function resolveUrlResolver(
+    urlResolver?: CustomElementUrlResolver|Map<string,URL|string>|null,
+    defaultUrlResolver?: CustomElementUrlResolver|null
+): { urlResolver: CustomElementUrlResolver|null, mappings: Map<string,URL|string>|null };
+
+/** Returns the path of the module by the default convention, `/js/<name>-element.js`. */
+export function resolveDefaultPath(name: string): string;
+
+/** Returns the document's base URL, if there is one, shared by the manifest resolver and the module cache. */
+export function documentBaseUrl(): string|undefined;
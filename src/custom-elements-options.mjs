@@ -0,0 +1,51 @@
+/**
+ * Returns the sanitized filter, shared by the loader and the analyzer.
+ * @param {CustomElementFilter|string[]} [filter]
+ * @param {CustomElementFilter|null}     [defaultFilter]
+ * @return {CustomElementFilter|null}
+ * @throws {TypeError}
+ */
+export function resolveFilter( filter, defaultFilter = null )
+{
+    if (!filter)                      { return defaultFilter; }
+    if (typeof filter === 'function') { return filter; }
+    if (Array.isArray(filter))        { return ( name ) => filter.includes(name); }
+
+    throw new TypeError(`Expecting provided filter to be type of function or string[].`);
+}
+
+/**
+ * Returns the sanitized URL resolver, shared by the loader and the analyzer.<br/>
+ * A `Map` is returned as `mappings` as is, to be consulted before any resolver.
+ * @param {CustomElementUrlResolver|Map<string,URL|string>} [urlResolver]
+ * @param {CustomElementUrlResolver|null}                   [defaultUrlResolver]
+ * @return {{ urlResolver: CustomElementUrlResolver|null, mappings: Map<string,URL|string>|null }}
+ * @throws {TypeError}
+ */
+export function resolveUrlResolver( urlResolver, defaultUrlResolver = null )
+{
+    if (!urlResolver)                      { return { urlResolver: defaultUrlResolver, mappings: null }; }
+    if (typeof urlResolver === 'function') { return { urlResolver: urlResolver, mappings: null }; }
+    if (urlResolver instanceof Map)        { return { urlResolver: null, mappings: urlResolver }; }
+
+    throw new TypeError(`Expecting provided urlResolver to be type of function.`);
+}
+
+/**
+ * Returns the path of the module by the default convention, _/js/&lt;name&gt;-element.js_.
+ * @param {string} name Lower-case element-name
+ * @return {string}
+ */
+export function resolveDefaultPath( name )
+{
+    return `/js/${name}-element.js`;
+}
+
+/**
+ * Returns the document's base URL, if there is one, shared by the manifest resolver and the module cache.
+ * @return {string|undefined}
+ */
+export function documentBaseUrl()
+{
+    return typeof document !== 'undefined' ? document.baseURI : void 0;
+}
@@ -0,0 +1,51 @@
+/// <reference path="./custom-elements-lazy-loader.d.ts" />
+
+/**
+ * Creates a `CustomElementLoader` for tests, recording the requested URLs and providing stub constructors.
+ * Constructors provided by element-name are returned instead of stubs, `null` skips the definition and errors fail loading.
+ * Modules providing multiple custom-elements as `context.exports` get definitions with a constructor per export,
+ * unless definitions are provided for the requested element-name. Exports provided as `null` are left out.
+ * Stubs extend `HTMLElement`, so customized built-in elements need a constructor to be provided.
+ */
+export function createMockLoader(options?: CustomElementsMockLoaderInit): CustomElementsMockLoader;
+
+/** Resolves once all pending definitions of the `observers` are settled, as well as the tasks queued meanwhile. */
+export function flush(...observers: CustomElementsLazyLoader[]): Promise<void>;
+
+/**
+ * Creates a registry to pass as `registry` option, isolating definitions between tests,
+ * as definitions at the global `customElements` registry cannot be undone.
+ * Definitions are recorded only, so elements do not get upgraded. Use `reset()` to clear them between tests,
+ * which also drops the promises of `whenDefined()` still waiting.
+ */
+export function createTestRegistry(): CustomElementsTestRegistry;
+
+interface CustomElementsMockLoaderInit
+{
+    /** Constructors or definitions to provide by element-name, `null` to skip the definition, errors to fail loading. */
+    constructors?: Record<string,CustomElementConstructor|CustomElementDefinitions|Error|null>;
+
+    /** Milliseconds each load takes (_default_: `0`). */
+    delay?: number;
+}
+
+interface CustomElementsMockLoader extends CustomElementLoader
+{
+    /** Loads requested, in order. */
+    readonly calls: { url: string, elementName: string, context: CustomElementLoaderContext }[];
+
+    /** URLs requested, in order. */
+    readonly urls: string[];
+
+    /** Clears the recorded loads. */
+    reset(): void;
+}
+
+interface CustomElementsTestRegistry extends CustomElementRegistry
+{
+    /** Names defined, in order. */
+    readonly names: string[];
+
+    /** Clears all definitions and drops the promises of `whenDefined()` still waiting. */
+    reset(): void;
+}
@@ -0,0 +1,150 @@
+/**
+ * Creates a `CustomElementLoader` for tests, recording the requested URLs and providing stub constructors.<br/>
+ * Constructors provided by element-name are returned instead of stubs, `null` skips the definition and errors fail loading.
+ * Modules providing multiple custom-elements as `context.exports` get definitions with a constructor per export,
+ * unless definitions are provided for the requested element-name. Exports provided as `null` are left out.<br/>
+ * Stubs extend `HTMLElement`, so customized built-in elements need a constructor to be provided.
+ *
+ * @param {CustomElementsMockLoaderInit} [options] Options to configure the loader
+ * @return {CustomElementsMockLoader}
+ * @throws {TypeError}
+ */
+export function createMockLoader( options )
+{
+    const constructors = options && options.constructors || {};
+    const delay        = options && options.delay || 0;
+
+    if (typeof constructors !== 'object') { throw new TypeError(`Expecting provided constructors to be type of object.`); }
+
+    if (typeof delay !== 'number' || !(delay >= 0)) { throw new TypeError(`Expecting provided delay to be a non-negative number.`); }
+
+    /** @type {CustomElementsMockLoader} */
+    const loader = async ( url, context ) =>
+    {
+        const elementName = context.elementName;
+
+        loader.calls.push({ url: String(url), elementName: elementName, context: context });
+
+        if (delay) { await new Promise(( resolve ) => setTimeout(resolve, delay)); }
+
+        if (context.exports && !Object.hasOwn(constructors, elementName))
+        {
+            const definitions = {};
+
+            for (const name of Object.keys(context.exports))
+            {
+                const ctor = Object.hasOwn(constructors, name) ? constructors[name] : createStub(name);
+
+                if (ctor instanceof Error) { throw ctor; }
+
+                if (ctor) { definitions[name] = ctor; }
+            }
+
+            return definitions;
+        }
+
+        if (!Object.hasOwn(constructors, elementName)) { return createStub(elementName); }
+
+        if (constructors[elementName] instanceof Error) { throw constructors[elementName]; }
+
+        return constructors[elementName];
+    };
+
+    loader.calls = [];
+
+    Object.defineProperty(loader, 'urls', { get: () => loader.calls.map(( call ) => call.url) });
+
+    loader.reset = () => { loader.calls.length = 0; };
+
+    return loader;
+}
+
+/**
+ * Creates a stub constructor for the custom-element with the given `element-name`.
+ * @param {string} elementName
+ * @return {CustomElementConstructor}
+ */
+function createStub( elementName )
+{
+    return class extends HTMLElement { static elementName = elementName; };
+}
+
+/**
+ * Resolves once all pending definitions of the `observers` are settled, as well as the tasks queued meanwhile.
+ * @param {...CustomElementsLazyLoader} observers
+ * @return {Promise<void>}
+ */
+export async function flush( ...observers )
+{
+    await Promise.all(observers.map(( observer ) => observer.settled()));
+    await new Promise(( resolve ) => setTimeout(resolve));
+}
+
+/**
+ * Creates a registry to pass as `registry` option, isolating definitions between tests,
+ * as definitions at the global `customElements` registry cannot be undone.<br/>
+ * Definitions are recorded only, so elements do not get upgraded. Use `reset()` to clear them between tests,
+ * which also drops the promises of `whenDefined()` still waiting.
+ * @return {CustomElementsTestRegistry}
+ */
+export function createTestRegistry()
+{
+    const definitions = new Map();
+    const waiting     = new Map();
+
+    return {
+        define( name, ctor, options )
+        {
+            if (definitions.has(name)) { throw new DOMException(`'${name}' has already been defined as a custom element.`, 'NotSupportedError'); }
+
+            if (typeof ctor !== 'function') { throw new TypeError(`Expecting provided constructor for '${name}' to be type of function.`); }
+
+            definitions.set(name, { ctor: ctor, options: options || {} });
+
+            if (waiting.has(name)) { waiting.get(name).resolve(ctor); waiting.delete(name); }
+        },
+
+        get( name )
+        {
+            return definitions.has(name) ? definitions.get(name).ctor : void 0;
+        },
+
+        getName( ctor )
+        {
+            for (const [ name, definition ] of definitions)
+            {
+                if (definition.ctor === ctor) { return name; }
+            }
+
+            return null;
+        },
+
+        whenDefined( name )
+        {
+            if (definitions.has(name)) { return Promise.resolve(definitions.get(name).ctor); }
+
+            if (!waiting.has(name))
+            {
+                let resolve;
+                const promise = new Promise(( resolver ) => { resolve = resolver; });
+
+                waiting.set(name, { promise: promise, resolve: resolve });
+            }
+
+            return waiting.get(name).promise;
+        },
+
+        upgrade() {},
+
+        get names()
+        {
+            return [...definitions.keys()];
+        },
+
+        reset()
+        {
+            definitions.clear();
+            waiting.clear();
+        },
+    };
+}
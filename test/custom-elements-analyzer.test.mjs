@@ -0,0 +1,97 @@
+import { spawnSync }                         from "node:child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir }                            from "node:os";
+import { join }                              from "node:path";
+import analyze                               from "../src/custom-elements-analyzer.mjs";
+
+describe('analyze Tests', () =>
+{
+    const html = `
+        <!-- <commented-element></commented-element> -->
+        <my-app data-title="a>b">
+            <button IS='my-button'></button>
+            <script>document.write('<scripted-element></scripted-element>');</script>
+            <template><my-dialog></my-dialog></template>
+            <My-App></My-App>
+            <font-face></font-face>
+            <div is="1-invalid"></div>
+        </my-app>
+    `;
+
+    /** Tests if HTML strings are analyzed without DOM. */
+    test('Analyzes HTML strings', async () =>
+    {
+        expect(await analyze(html)).toEqual([
+            { elementName: 'my-app',    url: '/js/my-app-element.js',    extends: null },
+            { elementName: 'my-button', url: '/js/my-button-element.js', extends: 'button' },
+            { elementName: 'my-dialog', url: '/js/my-dialog-element.js', extends: null },
+        ]);
+    });
+
+    /** Tests if DOM trees are analyzed including template contents and shadow roots. */
+    test('Analyzes DOM trees', async () =>
+    {
+        const scope = document.createElement('div');
+
+        scope.innerHTML = html;
+        scope.querySelector('my-app').attachShadow({ mode: 'open' }).innerHTML = '<my-shadow></my-shadow>';
+
+        expect((await analyze(scope)).map(( usage ) => usage.elementName)).toEqual(['my-app', 'my-shadow', 'my-button', 'my-dialog']);
+    });
+
+    /** Tests if the filter and resolvers are applied. */
+    test('Filters and resolves', async () =>
+    {
+        const resolver = async ( name ) => name === 'my-app' ? [{ url: '/app.js', export: 'App' }, '/fallback.js'] : null;
+
+        expect(await analyze(html, { filter: ['my-app', 'my-button'], urlResolver: resolver, baseUrl: 'https://domain.tld/' })).toEqual([
+            { elementName: 'my-app',    url: 'https://domain.tld/app.js', extends: null },
+            { elementName: 'my-button', url: null,                        extends: 'button' },
+        ]);
+
+        expect(await analyze(html, { filter: ( name ) => name === 'my-dialog', urlResolver: new Map([['my-dialog', '/dialog.js']]) })).toEqual([
+            { elementName: 'my-dialog', url: '/dialog.js', extends: null },
+        ]);
+
+        expect((await analyze('<my-$-element></my-$-element><my-é-element></my-é-element>', { strictNames: true })).map(( usage ) => usage.elementName)).toEqual(['my-é-element']);
+
+        await expect(analyze(null)).rejects.toThrow(TypeError);
+        await expect(analyze(html, { filter: 'invalid' })).rejects.toThrow(TypeError);
+        await expect(analyze(html, { urlResolver: 'invalid' })).rejects.toThrow(TypeError);
+    });
+
+    /** Tests if the CLI emits a JSON manifest and modulepreload links. */
+    test('Provides a CLI', () =>
+    {
+        const directory = mkdtempSync(join(tmpdir(), 'custom-elements-analyze-'));
+        const file      = join(directory, 'index.html');
+        const manifest  = join(directory, 'custom-elements.json');
+        const cli       = new URL('../bin/custom-elements-analyze.mjs', import.meta.url).pathname;
+
+        writeFileSync(file, html);
+
+        const json = spawnSync(process.execPath, [cli, '--prefix', 'my-b', file], { encoding: 'utf8' });
+
+        expect(JSON.parse(json.stdout)).toEqual({ [file]: [{ elementName: 'my-button', url: '/js/my-button-element.js', extends: 'button' }] });
+
+        const links = spawnSync(process.execPath, [cli, '--format', 'links', '--base', 'https://domain.tld/', file], { encoding: 'utf8' });
+
+        expect(links.stdout.trim().split('\n')).toEqual([
+            '<link rel="modulepreload" href="https://domain.tld/js/my-app-element.js">',
+            '<link rel="modulepreload" href="https://domain.tld/js/my-button-element.js">',
+            '<link rel="modulepreload" href="https://domain.tld/js/my-dialog-element.js">',
+        ]);
+
+        expect(spawnSync(process.execPath, [cli], { encoding: 'utf8' }).status).toBe(1);
+
+        // Without base, URLs of the manifest stay relative
+        writeFileSync(manifest, JSON.stringify({ 'my-*': '/elements/{name}.js', 'my-app': { url: 'app.js', version: 1 } }));
+
+        const relative = spawnSync(process.execPath, [cli, '--manifest', manifest, file], { encoding: 'utf8' });
+
+        expect(relative.stderr).toBe('');
+        expect(JSON.parse(relative.stdout)[file].map(( usage ) => usage.url)).toEqual(['/app.js', '/elements/my-button.js', '/elements/my-dialog.js']);
+
+        rmSync(directory, { recursive: true });
+    });
+});
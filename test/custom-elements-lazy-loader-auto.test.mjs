@@ -0,0 +1,90 @@
+import observer, { readConfiguration, start } from "../src/custom-elements-lazy-loader-auto.mjs";
+import CustomElementsLazyLoader from "../src/custom-elements-lazy-loader.mjs";
+
+describe('custom-elements-lazy-loader-auto Tests', () =>
+{
+    // The observer started on import has nothing to observe in here.
+    beforeAll(() => { observer.disconnect(); });
+
+    afterEach(() => { document.head.replaceChildren(); document.body.replaceChildren(); });
+
+    /** Tests if an observer is started on import. */
+    test('Starts on import', () =>
+    {
+        expect(observer).toBeInstanceOf(CustomElementsLazyLoader);
+    });
+
+    /** Tests if the configuration is read from the JSON script and data-attributes. */
+    test('Reads the configuration', () =>
+    {
+        const script = document.createElement('script');
+
+        document.head.innerHTML = `<script type="application/json" data-custom-elements-lazy-loader>
+            { "prefixes": ["My-", "acme-"], "url": "/elements/{name}.js", "root": "main", "scan": false }
+        </script>`;
+
+        expect(readConfiguration(document, null)).toEqual({ prefixes: ['my-', 'acme-'], url: '/elements/{name}.js', root: 'main', scan: false });
+
+        script.dataset.prefixes = ' x-  y- ';
+        script.dataset.manifest = '/assets/manifest.json';
+        script.dataset.scan     = '';
+        script.dataset.subtree  = 'false';
+
+        expect(readConfiguration(document, script)).toEqual({
+            prefixes: ['x-', 'y-'],
+            url     : '/elements/{name}.js',
+            manifest: '/assets/manifest.json',
+            root    : 'main',
+            scan    : true,
+            subtree : false,
+        });
+
+        document.head.replaceChildren();
+
+        expect(readConfiguration(document, null)).toEqual({});
+    });
+
+    /** Tests if invalid configurations are rejected. */
+    test('Validates the configuration', () =>
+    {
+        const read = ( json ) =>
+        {
+            document.head.innerHTML = `<script type="application/json" data-custom-elements-lazy-loader>${json}</script>`;
+
+            return readConfiguration(document, null);
+        };
+
+        expect(() => read('{ "prefixes": "my-" ')).toThrow(SyntaxError);
+        expect(() => read('[]')).toThrow(TypeError);
+        expect(() => read('{ "prefixes": "my-" }')).toThrow(TypeError);
+        expect(() => read('{ "url": 42 }')).toThrow(TypeError);
+        expect(() => start({ root: '#missing' })).toThrow(TypeError);
+        expect(() => start({}, { loader: 'invalid' })).toThrow(TypeError);
+    });
+
+    /** Tests if the observer gets started as configured. */
+    test('Starts by the configuration', async () =>
+    {
+        const fetch  = globalThis.fetch;
+        const urls   = [];
+        const loader = async ( url ) => { urls.push('' + url); return class extends HTMLElement {}; };
+
+        globalThis.fetch = async () => ({ ok: true, json: async () => ({ 'auto-card': '/assets/card.js' }) });
+
+        document.body.innerHTML = `
+            <main><auto-card></auto-card><auto-list><auto-item></auto-item></auto-list><other-element></other-element></main>
+            <auto-outside></auto-outside>
+        `;
+
+        const started = start({ prefixes: ['auto-'], url: '/elements/{name}.js', manifest: '/manifest.json', root: 'main' }, { loader: loader });
+
+        await Promise.all(['auto-card', 'auto-list', 'auto-item'].map(( name ) => customElements.whenDefined(name)));
+
+        expect(urls.sort()).toEqual(['http://localhost/assets/card.js', 'http://localhost/elements/auto-item.js', 'http://localhost/elements/auto-list.js']);
+
+        expect(customElements.get('auto-outside')).toBeUndefined();
+
+        started.disconnect();
+        globalThis.fetch = fetch;
+    });
+});
@@ -2,6 +2,37 @@ import CustomElementsLazyLoader from "../src/custom-elements-lazy-loader.mjs";
 
 const resolveNull = () => new Promise(( resolve ) => { resolve(null); });
 
+/** Minimal `CustomElementRegistry` to test scoped registries, as jsdom does not support them. */
+class ScopedRegistry
+{
+    #definitions = new Map();
+    #waiting     = new Map();
+
+    define( name, ctor )
+    {
+        if (this.#definitions.has(name)) { throw new DOMException(`'${name}' already defined.`); }
+
+        this.#definitions.set(name, ctor);
+        this.whenDefined(name);
+        this.#waiting.get(name).resolve(ctor);
+    }
+
+    get( name ) { return this.#definitions.get(name); }
+
+    whenDefined( name )
+    {
+        if (!this.#waiting.has(name))
+        {
+            let resolve;
+            const promise = new Promise(( resolved ) => { resolve = resolved; });
+
+            this.#waiting.set(name, { promise: promise, resolve: resolve });
+        }
+
+        return this.#waiting.get(name).promise;
+    }
+}
+
 describe('CustomElementsLazyLoader Tests', () =>
 {
     describe('CustomElementsLazyLoader Constructor', () =>
@@ -21,6 +52,40 @@ describe('CustomElementsLazyLoader Tests', () =>
 
             expect(() => { new CustomElementsLazyLoader({ loader: () => {} }); }).not.toThrow();
             expect(() => { new CustomElementsLazyLoader({ loader: "invalid"}); }).toThrow(TypeError);
+
+            expect(() => { new CustomElementsLazyLoader({ onLoadStart: () => {}, onDefined: () => {}, onSkipped: () => {}, onError: () => {} }); }).not.toThrow();
+            expect(() => { new CustomElementsLazyLoader({ onError: "invalid"}); }).toThrow(TypeError);
+
+            expect(() => { new CustomElementsLazyLoader({ retry: { attempts: 3, delay: 100, factor: 2, timeout: 5000 } }); }).not.toThrow();
+            expect(() => { new CustomElementsLazyLoader({ retry: { attempts: 0 } }); }).toThrow(TypeError);
+            expect(() => { new CustomElementsLazyLoader({ retry: { delay: "invalid" } }); }).toThrow(TypeError);
+
+            expect(() => { new CustomElementsLazyLoader({ loading: 'visible', rootMargin: '100px' }); }).not.toThrow();
+            expect(() => { new CustomElementsLazyLoader({ loading: () => 'idle' }); }).not.toThrow();
+            expect(() => { new CustomElementsLazyLoader({ loading: 'invalid' }); }).toThrow(TypeError);
+
+            expect(() => { new CustomElementsLazyLoader({ registry: customElements }); }).not.toThrow();
+            expect(() => { new CustomElementsLazyLoader({ registry: {} }); }).toThrow(TypeError);
+
+            expect(() => { new CustomElementsLazyLoader({ states: true, fallback: () => 'Unavailable' }); }).not.toThrow();
+            expect(() => { new CustomElementsLazyLoader({ states: { loading: 'loading' }, fallback: document.createElement('template') }); }).not.toThrow();
+            expect(() => { new CustomElementsLazyLoader({ states: 'invalid' }); }).toThrow(TypeError);
+            expect(() => { new CustomElementsLazyLoader({ fallback: 'invalid' }); }).toThrow(TypeError);
+
+            expect(() => { new CustomElementsLazyLoader({ timeSlice: 10 }); }).not.toThrow();
+            expect(() => { new CustomElementsLazyLoader({ timeSlice: -1 }); }).toThrow(TypeError);
+
+            expect(() => { new CustomElementsLazyLoader({ concurrency: 2 }); }).not.toThrow();
+            expect(() => { new CustomElementsLazyLoader({ concurrency: 0 }); }).toThrow(TypeError);
+
+            expect(() => { new CustomElementsLazyLoader({ lateIsAttrs: 'replace', polyfill: '/js/polyfill.js' }); }).not.toThrow();
+            expect(() => { new CustomElementsLazyLoader({ lateIsAttrs: 'invalid' }); }).toThrow(TypeError);
+            expect(() => { new CustomElementsLazyLoader({ polyfill: 42 }); }).toThrow(TypeError);
+
+            expect(() => { new CustomElementsLazyLoader({ policy: { allow: ['/js/'], integrity: { 'x-element': 'sha384-x' }, trustedTypes: true } }); }).not.toThrow();
+            expect(() => { new CustomElementsLazyLoader({ policy: { allow: '/js/' } }); }).toThrow(TypeError);
+            expect(() => { new CustomElementsLazyLoader({ policy: { integrity: 'invalid' } }); }).toThrow(TypeError);
+            expect(() => { new CustomElementsLazyLoader({ policy: { trustedTypes: {} } }); }).toThrow(TypeError);
         });
     });
 
@@ -197,6 +262,133 @@ describe('CustomElementsLazyLoader Tests', () =>
 
             observer.disconnect();
         });
+
+        /** Tests if the filter is called once per name. */
+        test('Caches filter results', () =>
+        {
+            const scope    = document.createElement('div');
+            const filtered = [];
+            const filter   = ( name ) => { filtered.push(name); return false; };
+            const observer = new CustomElementsLazyLoader({ filter: filter, loader: resolveNull });
+
+            scope.innerHTML = '<cached-element></cached-element><cached-element></cached-element><div is="cached-element"></div>';
+            observer.observe(scope);
+
+            expect(filtered).toEqual(['cached-element']);
+
+            observer.disconnect();
+        });
+    });
+
+    describe('Scanning', () =>
+    {
+        /** Tests if descendants of added subtrees are handled. */
+        test('Scans added subtrees', async () =>
+        {
+            const scope    = document.createElement('div');
+            const names    = [];
+            const resolver = ( name ) => { names.push(name); return `${name}.js`; };
+            const observer = new CustomElementsLazyLoader({ urlResolver: resolver, loader: resolveNull, onSkipped: () => {} });
+
+            observer.observe(scope);
+
+            const container = document.createElement('section');
+
+            container.innerHTML = '<div><added-outer-element><added-inner-element></added-inner-element></added-outer-element></div>';
+            scope.append(container);
+
+            await Promise.resolve();
+
+            expect(names).toEqual(['added-outer-element', 'added-inner-element']);
+
+            observer.disconnect();
+        });
+
+        /** Tests if scans yield to the event loop in time-sliced mode. */
+        test('Scans in time slices', async () =>
+        {
+            const scope    = document.createElement('div');
+            const names    = [];
+            const resolver = ( name ) => { names.push(name); return `${name}.js`; };
+            const observer = new CustomElementsLazyLoader({ urlResolver: resolver, loader: resolveNull, onSkipped: () => {}, timeSlice: 1 });
+
+            scope.innerHTML = '<sliced-a-element></sliced-a-element>'.repeat(200) + '<sliced-b-element></sliced-b-element>';
+            observer.observe(scope);
+
+            // The first slice is scheduled at its end
+            expect(names).toContain('sliced-a-element');
+
+            for (let i = 0; i < 100 && !names.includes('sliced-b-element'); i++)
+            {
+                await new Promise(( resolve ) => setTimeout(resolve));
+            }
+
+            expect(names).toEqual(['sliced-a-element', 'sliced-b-element']);
+
+            observer.disconnect();
+        });
+
+        /** Tests if time-sliced scans abort once the target is observed again after disconnecting. */
+        test('Aborts time-sliced scans superseded', async () =>
+        {
+            const scope    = document.createElement('div');
+            const names    = [];
+            const resolver = ( name ) => { names.push(name); return `${name}.js`; };
+            const observer = new CustomElementsLazyLoader({ urlResolver: resolver, loader: resolveNull, onSkipped: () => {}, timeSlice: 1 });
+            const now      = performance.now;
+            let   time     = 0;
+
+            // Each slice visits a single element.
+            performance.now = () => time++;
+
+            try
+            {
+                scope.innerHTML = '<superseded-a-element></superseded-a-element><superseded-b-element></superseded-b-element>';
+                observer.observe(scope);
+                observer.disconnect();
+                observer.observe(scope, { subtree: false });
+
+                for (let i = 0; i < 5; i++) { await new Promise(( resolve ) => setTimeout(resolve)); }
+
+                // The first slice only visited the target itself
+                expect(names).toEqual([]);
+            }
+            finally
+            {
+                performance.now = now;
+                observer.disconnect();
+            }
+        });
+
+        /** Tests if settling awaits time-sliced scans in progress. */
+        test('Settles time-sliced scans', async () =>
+        {
+            const scope    = document.createElement('div');
+            const names    = [];
+            const resolver = ( name ) => { names.push(name); return `${name}.js`; };
+            const observer = new CustomElementsLazyLoader({ urlResolver: resolver, loader: resolveNull, onSkipped: () => {}, timeSlice: 1 });
+            const now      = performance.now;
+            let   time     = 0;
+
+            // Each slice visits a single element.
+            performance.now = () => time++;
+
+            try
+            {
+                scope.innerHTML = '<settled-a-element></settled-a-element><settled-b-element></settled-b-element>';
+                observer.observe(scope);
+
+                await observer.settled();
+
+                expect(names).toEqual(['settled-a-element', 'settled-b-element']);
+                expect(observer.stats().map(( stats ) => stats.status)).toEqual(['skipped', 'skipped']);
+            }
+            finally
+            {
+                performance.now = now;
+                observer.disconnect();
+            }
+        });
     });
 
     describe('Resolving URLs', () =>
@@ -245,6 +437,144 @@ describe('CustomElementsLazyLoader Tests', () =>
         });
     });
 
+    describe('Reconfiguring at runtime', () =>
+    {
+        /** Tests if mappings and resolvers are consulted in order, falling through if nothing resolved. */
+        test('Chains mappings and resolvers', async () =>
+        {
+            const urls     = [];
+            const loader   = async ( url ) => { urls.push('' + url); return class extends HTMLElement {}; };
+            const pending  = ( name ) => name === 'chain-async-element' ? Promise.resolve('/async.js') : Promise.resolve(null);
+            const observer = new CustomElementsLazyLoader({ loader: loader, urlResolver: new Map([['chain-mapped-element', '/mapped.js']]), onError: () => {} });
+
+            observer.addResolver(( name ) => name === 'chain-first-element' ? '/first.js' : null);
+            observer.addResolver(pending);
+            observer.addResolver(( name ) => name.startsWith('chain-') ? `/${name}.js` : void 0);
+            observer.addMapping('Chain-Added-Element', '/added.js');
+
+            await observer.preload(['chain-mapped-element', 'chain-added-element', 'chain-first-element', 'chain-async-element', 'chain-last-element']);
+
+            expect(urls).toEqual([
+                'http://localhost/mapped.js',
+                'http://localhost/added.js',
+                'http://localhost/first.js',
+                'http://localhost/async.js',
+                'http://localhost/chain-last-element.js',
+            ]);
+
+            expect(observer.removeResolver(pending)).toBe(true);
+            expect(observer.removeResolver(pending)).toBe(false);
+            expect(observer.removeMapping('chain-added-element')).toBe(true);
+
+            // Names not mapped fail to resolve, if mapped by the constructor
+            await expect(observer.preload('unmapped-element')).rejects.toThrow(`Error defining element 'unmapped-element'.`);
+
+            expect(() => { observer.addMapping('invalid', '/invalid.js'); }).toThrow(SyntaxError);
+            expect(() => { observer.addResolver('invalid'); }).toThrow(TypeError);
+            expect(() => { observer.setFilter('invalid'); }).toThrow(TypeError);
+            expect(() => { observer.setLoader('invalid'); }).toThrow(TypeError);
+        });
+
+        /** Tests if elements skipped so far get loaded after reconfiguration. */
+        test('Rescans after reconfiguration', async () =>
+        {
+            const scope    = document.createElement('div');
+            const names    = [];
+            const observer = new CustomElementsLazyLoader({ loader: resolveNull, onSkipped: ( event ) => { names.push(event.elementName); }, filter: ['app-x-element'] });
+
+            scope.innerHTML = '<app-x-element></app-x-element><plugin-x-element></plugin-x-element>';
+            observer.observe(scope);
+
+            await new Promise(( resolve ) => setTimeout(resolve));
+            expect(names).toEqual(['app-x-element']);
+
+            observer.setFilter(( name ) => name.startsWith('app-') || name.startsWith('plugin-'));
+
+            await new Promise(( resolve ) => setTimeout(resolve));
+            expect(names).toEqual(['app-x-element', 'plugin-x-element']);
+
+            observer.disconnect();
+        });
+
+        /** Tests if elements skipped within targets not scanned get loaded after reconfiguration. */
+        test('Rescans skipped elements of targets not scanned', async () =>
+        {
+            const scope    = document.createElement('div');
+            const names    = [];
+            const mappings = new Map();
+            const observer = new CustomElementsLazyLoader({ loader: resolveNull, urlResolver: mappings, onSkipped: ( event ) => { names.push(event.elementName); }, onError: () => {}, filter: ['unscanned-a-element'] });
+
+            scope.innerHTML = '<unscanned-c-element></unscanned-c-element>';
+            observer.observe(scope, { scan: false });
+            scope.insertAdjacentHTML('beforeend', '<unscanned-a-element></unscanned-a-element><unscanned-b-element></unscanned-b-element>');
+
+            await observer.settled();
+            expect(observer.stats().map(( stat ) => stat.status)).toEqual(['failed']);
+
+            observer.setFilter(null);
+            await Promise.resolve();
+            await observer.settled();
+
+            expect(names).toEqual([]);
+            expect(observer.stats().map(( stat ) => stat.status)).toEqual(['failed', 'failed']);
+
+            observer.addMapping('unscanned-a-element', '/unscanned-a.js');
+            observer.addMapping('unscanned-b-element', '/unscanned-b.js');
+            await Promise.resolve();
+            await observer.settled();
+
+            // Elements present before observing stay unhandled
+            expect(names.sort()).toEqual(['unscanned-a-element', 'unscanned-b-element']);
+
+            observer.disconnect();
+        });
+
+        /** Tests if definitions failed to resolve start over once a mapping or resolver is added. */
+        test('Retries failed definitions after reconfiguration', async () =>
+        {
+            const scope    = document.createElement('div');
+            const urls     = [];
+            const mappings = new Map();
+            const loader   = async ( url ) => { urls.push('' + url); return class extends HTMLElement {}; };
+            const observer = new CustomElementsLazyLoader({ loader: loader, urlResolver: mappings, onError: () => {} });
+
+            scope.innerHTML = '<late-mapped-element></late-mapped-element><late-resolved-element></late-resolved-element>';
+            observer.observe(scope);
+
+            await observer.settled();
+            expect(observer.stats().map(( stat ) => stat.status)).toEqual(['failed', 'failed']);
+
+            observer.addMapping('late-mapped-element', '/late-mapped.js');
+            await Promise.resolve();
+            await observer.settled();
+
+            expect(mappings.get('late-mapped-element')).toBe('/late-mapped.js');
+            expect(customElements.get('late-mapped-element')).toBeDefined();
+            expect(customElements.get('late-resolved-element')).toBeUndefined();
+
+            observer.addResolver(( name ) => `/${name}.js`);
+            await Promise.resolve();
+            await observer.settled();
+
+            expect(urls).toEqual(['http://localhost/late-mapped.js', 'http://localhost/late-resolved-element.js']);
+            expect(customElements.get('late-resolved-element')).toBeDefined();
+
+            observer.disconnect();
+        });
+
+        /** Tests if the replaced loader is used for elements not loaded yet. */
+        test('Replaces the loader', async () =>
+        {
+            const observer = new CustomElementsLazyLoader({ loader: async () => { throw new Error('Replaced'); } });
+            const ctor     = class extends HTMLElement {};
+
+            observer.setLoader(async () => ctor);
+            await observer.preload('replaced-loader-element');
+
+            expect(customElements.get('replaced-loader-element')).toBe(ctor);
+        });
+    });
+
     describe('Loading custom-element constructors', () =>
     {
         const scope = document.createElement('div');
@@ -297,4 +627,1593 @@ describe('CustomElementsLazyLoader Tests', () =>
             observer.disconnect();
         });
     });
-});
\ No newline at end of file
+
+    describe('Deduplicating definitions', () =>
+    {
+        /** Tests if multiple occurrences while scanning are loaded and defined once. */
+        test('Loads each name once while scanning', async () =>
+        {
+            const scope    = document.createElement('div');
+            const urls     = [];
+            const loader   = async ( url ) => { urls.push('' + url); return class extends HTMLElement {}; }
+            const observer = new CustomElementsLazyLoader({ filter: ['dedup-scan-element'], loader: loader });
+
+            scope.innerHTML = '<dedup-scan-element></dedup-scan-element>'.repeat(20);
+
+            observer.observe(scope, { scan: true });
+
+            await customElements.whenDefined('dedup-scan-element');
+
+            expect(urls).toEqual(['http://localhost/js/dedup-scan-element-element.js']);
+
+            observer.disconnect();
+        });
+
+        /** Tests if multiple occurrences within a single mutation batch are loaded and defined once. */
+        test('Loads each name once per mutation batch', async () =>
+        {
+            const scope    = document.createElement('div');
+            const urls     = [];
+            const loader   = async ( url ) => { urls.push('' + url); return class extends HTMLElement {}; }
+            const observer = new CustomElementsLazyLoader({ filter: ['dedup-mutation-element'], loader: loader });
+
+            observer.observe(scope, { scan: false });
+
+            for (let i = 0; i < 20; i++) { scope.append(document.createElement('dedup-mutation-element')); }
+
+            await customElements.whenDefined('dedup-mutation-element');
+
+            expect(urls).toEqual(['http://localhost/js/dedup-mutation-element-element.js']);
+
+            observer.disconnect();
+        });
+    });
+
+    describe('Reporting the loading lifecycle', () =>
+    {
+        /** Tests if successful definitions are reported. */
+        test('Reports loadstart and defined', async () =>
+        {
+            const scope    = document.createElement('div');
+            const events   = [];
+            const hook     = ( event ) => { events.push(event); };
+            const loader   = async () => class extends HTMLButtonElement {};
+            const observer = new CustomElementsLazyLoader({ loader: loader, onLoadStart: hook, onDefined: hook });
+
+            scope.innerHTML = '<button is="lifecycle-defined-element"></button>';
+
+            observer.observe(scope);
+
+            await customElements.whenDefined('lifecycle-defined-element');
+
+            expect(events.map(( event ) => event.type)).toEqual(['loadstart', 'defined']);
+            expect(events[1]).toMatchObject({
+                elementName: 'lifecycle-defined-element',
+                tagName    : 'button',
+                url        : new URL('http://localhost/js/lifecycle-defined-element-element.js'),
+            });
+            expect(events[1].duration).toBeGreaterThanOrEqual(0);
+
+            observer.disconnect();
+        });
+
+        /** Tests if skipped definitions are reported. */
+        test('Reports skipped', async () =>
+        {
+            const scope    = document.createElement('div');
+            const events   = [];
+            const observer = new CustomElementsLazyLoader({ loader: resolveNull, onSkipped: ( event ) => { events.push(event); } });
+
+            scope.innerHTML = '<lifecycle-skipped-element></lifecycle-skipped-element>';
+
+            observer.observe(scope);
+
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            expect(events).toMatchObject([{ type: 'skipped', elementName: 'lifecycle-skipped-element' }]);
+
+            observer.disconnect();
+        });
+
+        /** Tests if failures are reported instead of being rejected, and failed names are not retried. */
+        test('Reports errors and does not retry failed names', async () =>
+        {
+            const scope    = document.createElement('div');
+            const events   = [];
+            const urls     = [];
+            const loader   = async ( url ) => { urls.push('' + url); throw new Error('Not found'); }
+            const observer = new CustomElementsLazyLoader({ loader: loader, onError: ( event ) => { events.push(event); } });
+
+            observer.observe(scope, { scan: false });
+
+            scope.append(document.createElement('lifecycle-failed-element'));
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            scope.append(document.createElement('lifecycle-failed-element'));
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            expect(urls).toEqual(['http://localhost/js/lifecycle-failed-element-element.js']);
+            expect(events).toMatchObject([{ type: 'error', elementName: 'lifecycle-failed-element' }]);
+            expect(events[0].error.cause.errors[0].cause.message).toBe('Not found');
+            expect(customElements.get('lifecycle-failed-element')).toBeUndefined();
+
+            observer.disconnect();
+        });
+
+        /** Tests if errors thrown by hooks are logged without affecting the definition. */
+        test('Isolates hooks', async () =>
+        {
+            const scope    = document.createElement('div');
+            const error    = console.error;
+            const errors   = [];
+            const throwing = () => { throw new Error('Hook failed'); };
+            const loader   = async ( url, context ) => { if (context.elementName === 'lifecycle-throwing-error') { throw new Error('Not found'); } return class extends HTMLElement {}; };
+            const observer = new CustomElementsLazyLoader({ loader: loader, states: true, onDefined: throwing, onError: throwing });
+
+            console.error = ( message ) => { errors.push(message); };
+
+            scope.innerHTML = '<lifecycle-throwing-defined></lifecycle-throwing-defined><lifecycle-throwing-error></lifecycle-throwing-error>';
+            observer.observe(scope);
+
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            expect(observer.stats().map(( stats ) => stats.status)).toEqual(['defined', 'failed']);
+            expect(scope.firstElementChild.hasAttribute('data-ce-loading')).toBe(false);
+            expect(errors).toEqual([`Error in defined-hook for 'lifecycle-throwing-defined'.`, `Error in error-hook for 'lifecycle-throwing-error'.`]);
+
+            console.error = error;
+            observer.disconnect();
+        });
+    });
+
+    describe('Piercing Shadow DOM', () =>
+    {
+        /** Tests if existing open shadow roots are scanned, if { shadow: true }. */
+        test('Scans open shadow roots, if { shadow: true }', () =>
+        {
+            let   names    = [];
+            const filter   = ( name ) => { names.push(name); }
+            const scope    = document.createElement('div');
+            const host     = document.createElement('div');
+
+            scope.append(host);
+            host.attachShadow({ mode: 'open' }).innerHTML = '<shadow-x-element></shadow-x-element>';
+
+            const observer = new CustomElementsLazyLoader({ filter: filter, loader: resolveNull });
+
+            observer.observe(scope);
+            expect(names).toEqual([]);
+            observer.disconnect();
+
+            observer.observe(scope, { shadow: true });
+            expect(names).toEqual(['shadow-x-element']);
+            observer.disconnect();
+        });
+
+        /** Tests if shadow roots attached later on are observed, if { shadow: true }. */
+        test('Observes attached shadow roots, if { shadow: true }', async () =>
+        {
+            let   names    = [];
+            const filter   = ( name ) => { names.push(name); }
+            const scope    = document.createElement('div');
+            const host     = document.createElement('div');
+            const observer = new CustomElementsLazyLoader({ filter: filter, loader: resolveNull });
+
+            scope.append(host);
+            observer.observe(scope, { shadow: true });
+
+            const shadowRoot = host.attachShadow({ mode: 'open' });
+
+            shadowRoot.append(document.createElement('shadow-y-element'));
+            await Promise.resolve();
+
+            expect(names).toEqual(['shadow-y-element']);
+
+            // Hosts added later on
+            const addedHost = document.createElement('div');
+
+            addedHost.attachShadow({ mode: 'open' }).innerHTML = '<shadow-z-element></shadow-z-element>';
+            scope.append(addedHost);
+            await Promise.resolve();
+
+            expect(names).toEqual(['shadow-y-element', 'shadow-z-element']);
+
+            observer.disconnect();
+
+            shadowRoot.append(document.createElement('shadow-zz-element'));
+            await Promise.resolve();
+
+            expect(names).toEqual(['shadow-y-element', 'shadow-z-element']);
+        });
+
+        /** Tests if closed shadow roots are ignored. */
+        test('Ignores closed shadow roots', async () =>
+        {
+            let   names    = [];
+            const filter   = ( name ) => { names.push(name); }
+            const scope    = document.createElement('div');
+            const host     = document.createElement('div');
+            const observer = new CustomElementsLazyLoader({ filter: filter, loader: resolveNull });
+
+            scope.append(host);
+            observer.observe(scope, { shadow: true });
+
+            host.attachShadow({ mode: 'closed' }).append(document.createElement('shadow-closed-element'));
+            await Promise.resolve();
+
+            expect(names).toEqual([]);
+
+            observer.disconnect();
+        });
+
+        /** Tests if `Element.prototype.attachShadow` is restored upon disconnect. */
+        test('Restores attachShadow upon disconnect', () =>
+        {
+            const attachShadow = Element.prototype.attachShadow;
+            const observer     = new CustomElementsLazyLoader({ loader: resolveNull });
+
+            observer.observe(document.createElement('div'), { shadow: true });
+            expect(Element.prototype.attachShadow).not.toBe(attachShadow);
+
+            observer.disconnect();
+            expect(Element.prototype.attachShadow).toBe(attachShadow);
+        });
+    });
+
+    describe('Retrying failed loads', () =>
+    {
+        /** Tests if failed attempts are retried and fallback URLs are tried in turn. */
+        test('Retries fallback URLs with backoff', async () =>
+        {
+            const scope    = document.createElement('div');
+            const urls     = [];
+            const resolver = ( name ) => [`http://cdn.tld/${name}.js`, `http://domain.tld/${name}.js`];
+            const loader   = async ( url, context ) =>
+                             {
+                                 urls.push(`#${context.attempt} ${url}`);
+                                 if (urls.length < 4) { throw new Error('Not found'); }
+                                 return class extends HTMLElement {};
+                             }
+            const observer = new CustomElementsLazyLoader({ urlResolver: resolver, loader: loader, retry: { attempts: 3, delay: 1 } });
+
+            scope.innerHTML = '<retry-fallback-element></retry-fallback-element>';
+            observer.observe(scope);
+
+            await customElements.whenDefined('retry-fallback-element');
+
+            expect(urls).toEqual([
+                '#1 http://cdn.tld/retry-fallback-element.js',
+                '#1 http://domain.tld/retry-fallback-element.js',
+                '#2 http://cdn.tld/retry-fallback-element.js',
+                '#2 http://domain.tld/retry-fallback-element.js',
+            ]);
+
+            observer.disconnect();
+        });
+
+        /** Tests if the final error lists all failed attempts, including timeouts. */
+        test('Reports all failed attempts', async () =>
+        {
+            const scope    = document.createElement('div');
+            const resolver = ( name ) => [`http://cdn.tld/${name}.js`, `http://domain.tld/${name}.js`];
+            const loader   = ( url ) => url.host === 'cdn.tld' ? new Promise(() => {}) : Promise.reject(new Error('Not found'));
+            const error    = new Promise(( resolve ) =>
+                             {
+                                 const observer = new CustomElementsLazyLoader({
+                                     urlResolver: resolver,
+                                     loader     : loader,
+                                     retry      : { attempts: 2, delay: 1, timeout: 5 },
+                                     onError    : ( event ) => { observer.disconnect(); resolve(event.error); },
+                                 });
+
+                                 scope.innerHTML = '<retry-failed-element></retry-failed-element>';
+                                 observer.observe(scope);
+                             });
+
+            const cause = (await error).cause;
+
+            expect(cause).toBeInstanceOf(AggregateError);
+            expect(cause.errors.length).toBe(4);
+            expect(cause.message).toContain(`#1 'http://cdn.tld/retry-failed-element.js': Loading timed out after 5ms.`);
+            expect(cause.message).toContain(`#2 'http://domain.tld/retry-failed-element.js': Not found`);
+        });
+    });
+
+    describe('Defining multiple custom-elements per module', () =>
+    {
+        /** Tests if all elements provided by a module get defined at once. */
+        test('Defines all provided definitions', async () =>
+        {
+            const scope       = document.createElement('div');
+            const urls        = [];
+            const definitions = {
+                                    'multi-tab-group' : class extends HTMLElement {},
+                                    'multi-tab-panel' : class extends HTMLElement {},
+                                    'multi-tab-button': class extends HTMLButtonElement { static extends = 'button'; },
+                                };
+            const loader      = async ( url ) => { urls.push('' + url); return definitions; };
+            const observer    = new CustomElementsLazyLoader({ urlResolver: () => '/js/tabs.js', loader: loader });
+
+            scope.innerHTML = '<multi-tab-group></multi-tab-group>';
+            observer.observe(scope);
+
+            await customElements.whenDefined('multi-tab-group');
+
+            expect(customElements.get('multi-tab-group')).toBe(definitions['multi-tab-group']);
+            expect(customElements.get('multi-tab-panel')).toBe(definitions['multi-tab-panel']);
+            expect(customElements.get('multi-tab-button')).toBe(definitions['multi-tab-button']);
+            expect(document.createElement('button', { is: 'multi-tab-button' })).toBeInstanceOf(definitions['multi-tab-button']);
+
+            // Siblings are not loaded again
+            scope.innerHTML = '<multi-tab-panel></multi-tab-panel>';
+            await Promise.resolve();
+
+            expect(urls).toEqual(['http://localhost/js/tabs.js']);
+
+            observer.disconnect();
+        });
+
+        /** Tests if elements sharing a module by manifest join the pending definition. */
+        test('Joins siblings declared by named exports', async () =>
+        {
+            const scope    = document.createElement('div');
+            const contexts = [];
+            const resolver = ( name ) => ({ url: '/js/tabs.js', export: name, exports: { 'export-tab-group': 'TabGroup', 'export-tab-panel': 'TabPanel' } });
+            const loader   = async ( url, context ) =>
+                             {
+                                 contexts.push(context);
+                                 return { 'export-tab-group': class extends HTMLElement {}, 'export-tab-panel': class extends HTMLElement {} };
+                             };
+            const observer = new CustomElementsLazyLoader({ urlResolver: resolver, loader: loader });
+
+            scope.innerHTML = '<export-tab-group></export-tab-group><export-tab-panel></export-tab-panel>';
+            observer.observe(scope);
+
+            await Promise.all([
+                customElements.whenDefined('export-tab-group'),
+                customElements.whenDefined('export-tab-panel'),
+            ]);
+
+            expect(contexts.length).toBe(1);
+            expect(contexts[0].elementName).toBe('export-tab-group');
+
+            observer.disconnect();
+        });
+
+        /** Tests if reserved siblings fail when the module does not provide them. */
+        test('Fails siblings not provided by the module', async () =>
+        {
+            const scope    = document.createElement('div');
+            const events   = [];
+            const resolver = ( name ) => ({ url: '/js/pair.js', export: name, exports: { 'partial-pair-first': 'First', 'partial-pair-second': 'Second' } });
+            const loader   = async () => class extends HTMLElement {};
+            const observer = new CustomElementsLazyLoader({ urlResolver: resolver, loader: loader, onError: ( event ) => { events.push(event); } });
+
+            scope.innerHTML = '<partial-pair-first></partial-pair-first><partial-pair-second></partial-pair-second>';
+            observer.observe(scope);
+
+            await observer.settled();
+
+            expect(customElements.get('partial-pair-first')).toBeDefined();
+            expect(customElements.get('partial-pair-second')).toBeUndefined();
+            expect(events).toMatchObject([{ type: 'error', elementName: 'partial-pair-second' }]);
+            expect(events[0].error.cause.message).toBe(`Module 'http://localhost/js/pair.js' did not provide 'partial-pair-second'.`);
+
+            observer.disconnect();
+        });
+
+        /** Tests if missing definitions are reported. */
+        test('Reports missing definitions', async () =>
+        {
+            const scope    = document.createElement('div');
+            const events   = [];
+            const loader   = async () => ({ 'other-element': class extends HTMLElement {} });
+            const observer = new CustomElementsLazyLoader({ loader: loader, onError: ( event ) => { events.push(event); } });
+
+            scope.innerHTML = '<missing-definition-element></missing-definition-element>';
+            observer.observe(scope);
+
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            expect(events).toMatchObject([{ type: 'error', elementName: 'missing-definition-element' }]);
+            expect(customElements.get('other-element')).toBeUndefined();
+
+            observer.disconnect();
+        });
+    });
+
+    describe('Loading strategies', () =>
+    {
+        /** Tests if loading is deferred until the element intersects with the viewport. */
+        test('Defers loading until visible', async () =>
+        {
+            const intersectionObserver = globalThis.IntersectionObserver;
+            const observers            = [];
+
+            globalThis.IntersectionObserver = class
+            {
+                constructor( callback, options ) { this.callback = callback; this.options = options; this.targets = new Set(); observers.push(this); }
+                observe( target )   { this.targets.add(target); }
+                unobserve( target ) { this.targets.delete(target); }
+                disconnect()        { this.targets.clear(); }
+            };
+
+            const scope    = document.createElement('div');
+            const urls     = [];
+            const loader   = async ( url ) => { urls.push('' + url); return class extends HTMLElement {}; };
+            const observer = new CustomElementsLazyLoader({ loader: loader, loading: 'visible', rootMargin: '100px' });
+
+            scope.innerHTML = '<visible-element></visible-element><visible-element loading="eager"></visible-element><idle-element loading="idle"></idle-element>';
+            const [ element ] = scope.children;
+
+            observer.observe(scope);
+
+            expect(observers.length).toBe(1);
+            expect(observers[0].options).toEqual({ rootMargin: '100px' });
+
+            // The `loading`-Attribute takes precedence
+            expect(urls).toEqual(['http://localhost/js/visible-element-element.js']);
+            expect(observers[0].targets).toEqual(new Set([element]));
+
+            await new Promise(( resolve ) => setTimeout(resolve));
+            expect(urls).toEqual(['http://localhost/js/visible-element-element.js', 'http://localhost/js/idle-element-element.js']);
+
+            observer.disconnect();
+            globalThis.IntersectionObserver = intersectionObserver;
+        });
+
+        /** Tests if the strategy may be decided per element. */
+        test('Resolves the strategy per element', async () =>
+        {
+            const intersectionObserver = globalThis.IntersectionObserver;
+            let   intersect            = null;
+
+            globalThis.IntersectionObserver = class
+            {
+                constructor( callback ) { intersect = ( target ) => callback([{ target: target, isIntersecting: true }]); }
+                observe()    {}
+                unobserve()  {}
+                disconnect() {}
+            };
+
+            const scope    = document.createElement('div');
+            const urls     = [];
+            const loader   = async ( url ) => { urls.push('' + url); return null; };
+            const loading  = ( element, name ) => name === 'below-fold-element' ? 'lazy' : 'eager';
+            const observer = new CustomElementsLazyLoader({ loader: loader, loading: loading, onSkipped: () => {} });
+
+            scope.innerHTML = '<above-fold-element></above-fold-element><below-fold-element></below-fold-element>';
+
+            observer.observe(scope);
+            expect(urls).toEqual(['http://localhost/js/above-fold-element-element.js']);
+
+            intersect(scope.lastElementChild);
+            expect(urls).toEqual(['http://localhost/js/above-fold-element-element.js', 'http://localhost/js/below-fold-element-element.js']);
+
+            observer.disconnect();
+            globalThis.IntersectionObserver = intersectionObserver;
+        });
+    });
+
+    describe('Loading legacy scripts', () =>
+    {
+        const tick = () => new Promise(( resolve ) => setTimeout(resolve));
+
+        /** Tests if classic scripts get injected once and resolve once they defined their elements. */
+        test('Loads classic scripts', async () =>
+        {
+            const scope    = document.createElement('div');
+            const observer = new CustomElementsLazyLoader({
+                urlResolver: ( name ) => ({ url: name === 'legacy-broken-element' ? '/vendor/broken.js' : '/vendor/widgets.js', type: 'script' }),
+                policy     : { integrity: { 'legacy-a-element': 'sha384-a' } },
+                onError    : () => {},
+            });
+
+            scope.innerHTML = '<legacy-a-element></legacy-a-element><legacy-b-element></legacy-b-element><legacy-broken-element></legacy-broken-element>';
+            observer.observe(scope);
+
+            const script = document.head.querySelector('script[src="http://localhost/vendor/widgets.js"]');
+            const broken = document.head.querySelector('script[src="http://localhost/vendor/broken.js"]');
+
+            expect(document.head.querySelectorAll('script[src="http://localhost/vendor/widgets.js"]').length).toBe(1);
+            expect(script.getAttribute('integrity')).toBe('sha384-a');
+            expect(document.head.querySelector('link[rel="modulepreload"][href="http://localhost/vendor/widgets.js"]')).toBeNull();
+
+            customElements.define('legacy-a-element', class extends HTMLElement {});
+            customElements.define('legacy-b-element', class extends HTMLElement {});
+            script.dispatchEvent(new Event('load'));
+            broken.dispatchEvent(new Event('error'));
+            await tick();
+
+            expect(observer.stats().map(( stats ) => stats.status)).toEqual(['defined', 'defined', 'failed']);
+            expect(broken.isConnected).toBe(false);
+
+            script.remove();
+        });
+
+        /** Tests if classic scripts providing multiple custom-elements are awaited at the observer's registry, limited by the timeout. */
+        test('Awaits all custom-elements of classic scripts at the registry', async () =>
+        {
+            const scope    = document.createElement('div');
+            const registry = new ScopedRegistry();
+            const exports  = { 'legacy-suite-a-element': 'A', 'legacy-suite-b-element': 'B' };
+            const observer = new CustomElementsLazyLoader({
+                urlResolver: ( name ) => name === 'legacy-idle-element' ? { url: '/vendor/idle.js', type: 'script' } : { url: '/vendor/suite.js', type: 'script', exports: exports },
+                registry   : registry,
+                retry      : { timeout: 50 },
+                onError    : () => {},
+            });
+
+            scope.innerHTML = '<legacy-suite-a-element></legacy-suite-a-element><legacy-suite-b-element></legacy-suite-b-element><legacy-idle-element></legacy-idle-element>';
+            observer.observe(scope);
+
+            const scripts = [...document.head.querySelectorAll('script[src^="http://localhost/vendor/"]')];
+
+            registry.define('legacy-suite-a-element', class extends HTMLElement {});
+            registry.define('legacy-suite-b-element', class extends HTMLElement {});
+            scripts.forEach(( script ) => script.dispatchEvent(new Event('load')));
+
+            await observer.settled();
+
+            expect(observer.stats().map(( stats ) => stats.status)).toEqual(['defined', 'defined', 'failed']);
+            expect(customElements.get('legacy-suite-a-element')).toBeUndefined();
+
+            scripts.forEach(( script ) => script.remove());
+        });
+
+        /** Tests if modules of type `system` get imported by the global module loader. */
+        test('Loads by the global module loader', async () =>
+        {
+            const scope    = document.createElement('div');
+            const urls     = [];
+            const errors   = [];
+            const observer = new CustomElementsLazyLoader({
+                urlResolver: ( name ) => ({ url: `/vendor/${name}.js`, type: name === 'legacy-invalid-element' ? 'amd' : 'system', export: name === 'legacy-system-element' ? 'Widget' : void 0 }),
+                onError    : ( event ) => { errors.push(event.error.cause); },
+            });
+
+            globalThis.System = { import: async ( href ) => { urls.push(href); return { Widget: class extends HTMLElement {} }; } };
+
+            scope.innerHTML = '<legacy-system-element></legacy-system-element>';
+            observer.observe(scope);
+
+            await customElements.whenDefined('legacy-system-element');
+
+            delete globalThis.System;
+            globalThis.require = ( dependencies, resolve ) => { urls.push(...dependencies); resolve(class extends HTMLElement {}); };
+
+            await observer.preload('legacy-amd-element');
+
+            expect(urls).toEqual(['http://localhost/vendor/legacy-system-element.js', 'http://localhost/vendor/legacy-amd-element.js']);
+            expect(customElements.get('legacy-amd-element')).toBeDefined();
+
+            await expect(observer.preload('legacy-invalid-element')).rejects.toThrow(Error);
+
+            expect(errors[0].errors[0].cause).toBeInstanceOf(TypeError);
+
+            delete globalThis.require;
+            observer.disconnect();
+        });
+    });
+
+    describe('Preloading', () =>
+    {
+        /** Tests if preloading defines the custom-elements and shares the state with the observation. */
+        test('Preloads custom-elements', async () =>
+        {
+            const scope    = document.createElement('div');
+            const urls     = [];
+            const repo     = new Map([
+                                 ['http://localhost/js/preload-x-element-element.js', class extends HTMLElement {}],
+                                 ['http://localhost/js/preload-y-element-element.js', class extends HTMLDivElement { static extends = 'div'; }],
+                             ]);
+            const loader   = async ( url ) => { urls.push('' + url); return repo.get('' + url); };
+            const observer = new CustomElementsLazyLoader({ loader: loader, filter: () => false });
+
+            observer.observe(scope);
+
+            await expect(observer.preload(['Preload-X-Element', 'preload-y-element'])).resolves.toBeUndefined();
+
+            expect(customElements.get('preload-x-element')).toBe(repo.get('http://localhost/js/preload-x-element-element.js'));
+            expect(document.createElement('div', { is: 'preload-y-element' })).toBeInstanceOf(repo.get('http://localhost/js/preload-y-element-element.js'));
+
+            await observer.preload('preload-x-element');
+
+            expect(urls.length).toBe(2);
+
+            observer.disconnect();
+        });
+
+        /** Tests if preloading rejects for invalid names and failed definitions. */
+        test('Rejects failed preloads', async () =>
+        {
+            const loader   = async () => { throw new Error('Not found'); };
+            const observer = new CustomElementsLazyLoader({ loader: loader, onError: () => {} });
+
+            await expect(observer.preload('invalid')).rejects.toThrow(SyntaxError);
+            await expect(observer.preload('preload-failed-element')).rejects.toThrow(`Error defining element 'preload-failed-element'.`);
+        });
+
+        /** Tests if prefetching injects modulepreload hints once. */
+        test('Prefetches custom-elements', async () =>
+        {
+            const observer = new CustomElementsLazyLoader({ loader: resolveNull, onSkipped: () => {} });
+
+            await observer.preload('prefetch-defined-element');
+            await observer.prefetch(['prefetch-x-element', 'prefetch-defined-element']);
+            await observer.prefetch('prefetch-x-element');
+
+            const links = [...document.head.querySelectorAll('link[rel="modulepreload"]')];
+
+            expect(links.map(( link ) => link.href)).toEqual(['http://localhost/js/prefetch-x-element-element.js']);
+
+            links.forEach(( link ) => link.remove());
+        });
+    });
+
+    describe('Security policy', () =>
+    {
+        /** Tests if URLs not matching the allowlist are rejected before loading. */
+        test('Allows origins and path prefixes', async () =>
+        {
+            const urls     = [];
+            const events   = [];
+            const loader   = async ( url ) => { urls.push('' + url); return class extends HTMLElement {}; };
+            const resolver = ( name ) => name === 'policy-denied-element' ? 'https://evil.tld/js/denied.js' : `/js/modules/${name}.js`;
+            const observer = new CustomElementsLazyLoader({
+                                 loader     : loader,
+                                 urlResolver: resolver,
+                                 policy     : { allow: ['/js/modules/', 'https://cdn.domain.tld'] },
+                                 onError    : ( event ) => { events.push(event); },
+                             });
+
+            await observer.preload('policy-allowed-element');
+            await expect(observer.preload('policy-denied-element')).rejects.toThrow(`Error defining element 'policy-denied-element'.`);
+
+            expect(urls).toEqual(['http://localhost/js/modules/policy-allowed-element.js']);
+            expect(events.length).toBe(1);
+            expect(events[0].error.cause.name).toBe('SecurityError');
+            expect(events[0].error.cause.message).toBe(`URL 'https://evil.tld/js/denied.js' for 'policy-denied-element' is not allowed by the configured policy.`);
+        });
+
+        /** Tests if path prefixes of the allowlist only match whole path segments. */
+        test('Matches path prefixes by segment', async () =>
+        {
+            const urls     = [];
+            const loader   = async ( url ) => { urls.push('' + url); return class extends HTMLElement {}; };
+            const resolver = ( name ) => name === 'policy-prefix-element' ? '/js/elements-evil/prefix.js' : `/js/elements/${name}.js`;
+            const observer = new CustomElementsLazyLoader({ loader: loader, urlResolver: resolver, policy: { allow: ['/js/elements'] }, onError: () => {} });
+
+            await observer.preload('policy-segment-element');
+            await expect(observer.preload('policy-prefix-element')).rejects.toThrow(`Error defining element 'policy-prefix-element'.`);
+
+            expect(urls).toEqual(['http://localhost/js/elements/policy-segment-element.js']);
+        });
+
+        /** Tests if the polyfill is subject to the allowlist as well. */
+        test('Applies the policy to the polyfill', async () =>
+        {
+            const createElement = document.createElement;
+            const events        = [];
+            const observer      = new CustomElementsLazyLoader({
+                                      loader  : async () => class extends HTMLButtonElement { static extends = 'button'; },
+                                      polyfill: '/vendor/polyfill.js',
+                                      policy  : { allow: ['/js/'] },
+                                      onError : ( event ) => { events.push(event); },
+                                  });
+
+            // Browsers lacking support do not keep the is value of created elements.
+            document.createElement = ( tagName ) => createElement.call(document, tagName);
+
+            try
+            {
+                await expect(observer.preload('policy-polyfill-element')).rejects.toThrow(`Error defining element 'policy-polyfill-element'.`);
+            }
+            finally
+            {
+                document.createElement = createElement;
+            }
+
+            expect(events[0].error.cause.message).toBe(`Error loading polyfill for customized built-in elements.`);
+            expect(events[0].error.cause.cause.name).toBe('SecurityError');
+            expect(customElements.get('custom-elements-lazy-loader-probe')).toBeUndefined();
+        });
+
+        /** Tests if integrity hashes are emitted as modulepreload links. */
+        test('Emits integrity hashes', async () =>
+        {
+            const contexts = [];
+            const loader   = async ( url, context ) => { contexts.push(context); return class extends HTMLElement {}; };
+            const observer = new CustomElementsLazyLoader({ loader: loader, policy: { integrity: new Map([['integrity-x-element', 'sha384-abc']]) } });
+
+            await observer.preload(['integrity-x-element', 'integrity-y-element']);
+
+            const links = [...document.head.querySelectorAll('link[rel="modulepreload"]')];
+
+            expect(links.map(( link ) => [link.href, link.getAttribute('integrity')])).toEqual([['http://localhost/js/integrity-x-element-element.js', 'sha384-abc']]);
+            expect(contexts.map(( context ) => context.integrity)).toEqual(['sha384-abc', undefined]);
+
+            links.forEach(( link ) => link.remove());
+        });
+
+        /** Tests if the URL passed to the loader is created by the Trusted Types policy. */
+        test('Creates trusted script URLs', async () =>
+        {
+            const urls     = [];
+            const policy   = { createScriptURL: ( url ) => ({ trusted: url, toString: () => url }) };
+            const loader   = async ( url ) => { urls.push(url); return class extends HTMLElement {}; };
+            const observer = new CustomElementsLazyLoader({ loader: loader, policy: { trustedTypes: policy } });
+
+            await observer.preload('trusted-x-element');
+
+            expect(urls[0].trusted).toBe('http://localhost/js/trusted-x-element-element.js');
+        });
+    });
+
+    describe('Loading and error states', () =>
+    {
+        const failing = async () => { throw new Error('Not available'); };
+
+        /** Tests if the loading state is set while pending and removed once defined. */
+        test('Marks pending elements', async () =>
+        {
+            const scope    = document.createElement('div');
+            let   resolve  = null;
+            const loader   = () => new Promise(( r ) => { resolve = r; });
+            const observer = new CustomElementsLazyLoader({ loader: loader, states: true });
+
+            scope.innerHTML = '<state-pending-element></state-pending-element>';
+            observer.observe(scope);
+
+            const element = scope.firstElementChild;
+
+            expect(element.hasAttribute('data-ce-loading')).toBe(true);
+
+            resolve(class extends HTMLElement {});
+            await customElements.whenDefined('state-pending-element');
+
+            expect(element.hasAttribute('data-ce-loading')).toBe(false);
+            expect(element.hasAttribute('data-ce-error')).toBe(false);
+
+            observer.disconnect();
+        });
+
+        /** Tests if elements deferred until visible get marked once loading starts only. */
+        test('Marks deferred elements once loading', async () =>
+        {
+            const intersectionObserver = globalThis.IntersectionObserver;
+            let   callback             = null;
+
+            globalThis.IntersectionObserver = class
+            {
+                constructor( intersected ) { callback = intersected; }
+                observe()    {}
+                unobserve()  {}
+                disconnect() {}
+            };
+
+            const scope    = document.createElement('div');
+            const loader   = () => new Promise(() => {});
+            const observer = new CustomElementsLazyLoader({ loader: loader, states: true, loading: 'visible' });
+
+            try
+            {
+                scope.innerHTML = '<state-deferred-element></state-deferred-element>';
+                observer.observe(scope);
+
+                const element = scope.firstElementChild;
+
+                expect(element.hasAttribute('data-ce-loading')).toBe(false);
+
+                callback([{ target: element, isIntersecting: true }]);
+
+                expect(element.hasAttribute('data-ce-loading')).toBe(true);
+            }
+            finally
+            {
+                observer.disconnect();
+                globalThis.IntersectionObserver = intersectionObserver;
+            }
+        });
+
+        /** Tests if failed elements are marked and their content replaced by the configured fallback. */
+        test('Marks failed elements', async () =>
+        {
+            const scope    = document.createElement('div');
+            const template = document.createElement('template');
+            const observer = new CustomElementsLazyLoader({ loader: failing, states: { error: 'broken' }, fallback: template, onError: () => {} });
+
+            template.innerHTML = '<em>Unavailable</em>';
+            scope.innerHTML    = '<state-failed-element>Content</state-failed-element>';
+            observer.observe(scope);
+
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            const element = scope.firstElementChild;
+
+            expect(element.hasAttribute('data-ce-loading')).toBe(false);
+            expect(element.hasAttribute('broken')).toBe(true);
+            expect(element.innerHTML).toBe('<em>Unavailable</em>');
+
+            // Elements added later on are marked right away
+            scope.append(document.createElement('state-failed-element'));
+            await Promise.resolve();
+
+            expect(scope.lastElementChild.hasAttribute('broken')).toBe(true);
+            expect(scope.lastElementChild.innerHTML).toBe('<em>Unavailable</em>');
+
+            observer.disconnect();
+        });
+
+        /** Tests if the element's own fallback template takes precedence over the rendering callback. */
+        test('Renders fallback content', async () =>
+        {
+            const scope    = document.createElement('div');
+            const errors   = [];
+            const fallback = ( element, error ) => { errors.push(error); return 'Unavailable'; };
+            const observer = new CustomElementsLazyLoader({ loader: failing, fallback: fallback, onError: () => {} });
+
+            scope.innerHTML = '<state-fallback-element>Content</state-fallback-element>'
+                            + '<state-fallback-element><template slot="fallback"><b>Own</b></template></state-fallback-element>';
+            observer.observe(scope);
+
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            expect(scope.children[0].innerHTML).toBe('Unavailable');
+            expect(scope.children[0].hasAttribute('data-ce-error')).toBe(false);
+            expect(scope.children[1].innerHTML).toBe('<b>Own</b>');
+            expect(errors.length).toBe(1);
+            expect(errors[0].message).toBe("Error defining element 'state-fallback-element'.");
+
+            observer.disconnect();
+        });
+    });
+
+    describe('Introspection', () =>
+    {
+        /** Tests if the stats list every element handled. */
+        test('Reports stats', async () =>
+        {
+            const scope    = document.createElement('div');
+            const loader   = async ( url ) =>
+                             {
+                                 if (('' + url).includes('stats-failed')) { throw new Error('Not available'); }
+
+                                 return ('' + url).includes('stats-skipped') ? null : class extends HTMLElement {};
+                             };
+            const observer = new CustomElementsLazyLoader({ loader: loader, onError: () => {}, onSkipped: () => {} });
+
+            expect(observer.stats()).toEqual([]);
+
+            scope.innerHTML = '<stats-defined-element></stats-defined-element><stats-defined-element></stats-defined-element>'
+                            + '<stats-failed-element></stats-failed-element><stats-skipped-element></stats-skipped-element>';
+            observer.observe(scope);
+
+            expect(observer.stats().map(( entry ) => entry.status)).toEqual(['pending', 'pending', 'pending']);
+
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            const stats = observer.stats();
+
+            expect(stats).toMatchObject([
+                { elementName: 'stats-defined-element', registry: customElements, status: 'defined', found: 2, error: null },
+                { elementName: 'stats-failed-element',  registry: customElements, status: 'failed',  found: 1 },
+                { elementName: 'stats-skipped-element', registry: customElements, status: 'skipped', found: 1, error: null },
+            ]);
+            expect('' + stats[0].url).toBe('http://localhost/js/stats-defined-element-element.js');
+            expect(stats[0].duration).toBeGreaterThanOrEqual(0);
+            expect(stats[1].error.cause.message).toContain('Not available');
+
+            observer.disconnect();
+        });
+    });
+
+    describe('Discovering dependencies', () =>
+    {
+        /** Tests if shadow roots and template contents of defined instances are scanned. */
+        test('Discovers within defined instances', async () =>
+        {
+            const scope    = document.body.appendChild(document.createElement('div'));
+            const names    = [];
+            const loader   = async ( url, { elementName } ) =>
+                             {
+                                 names.push(elementName);
+
+                                 if (elementName !== 'discover-host-element') { return class extends HTMLElement {}; }
+
+                                 return class extends HTMLElement
+                                 {
+                                     connectedCallback()
+                                     {
+                                         this.attachShadow({ mode: 'open' }).innerHTML = '<discover-shadow-element></discover-shadow-element>'
+                                                                                       + '<template><discover-template-element></discover-template-element></template>';
+                                     }
+                                 };
+                             };
+            const observer = new CustomElementsLazyLoader({ loader: loader, discover: true });
+
+            scope.innerHTML = '<discover-host-element></discover-host-element>';
+            observer.observe(scope);
+
+            await customElements.whenDefined('discover-host-element');
+            await new Promise(( resolve ) => setTimeout(resolve));
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            expect(names.sort()).toEqual(['discover-host-element', 'discover-shadow-element', 'discover-template-element']);
+            expect(customElements.get('discover-shadow-element')).toBeDefined();
+            expect(customElements.get('discover-template-element')).toBeDefined();
+
+            observer.disconnect();
+            scope.remove();
+        });
+
+        /** Tests if nothing is discovered by default. */
+        test('Discovers nothing by default', async () =>
+        {
+            const scope    = document.body.appendChild(document.createElement('div'));
+            const names    = [];
+            const loader   = async ( url, { elementName } ) =>
+                             {
+                                 names.push(elementName);
+
+                                 return class extends HTMLElement
+                                 {
+                                     connectedCallback() { this.attachShadow({ mode: 'open' }).innerHTML = '<undiscovered-element></undiscovered-element>'; }
+                                 };
+                             };
+            const observer = new CustomElementsLazyLoader({ loader: loader });
+
+            scope.innerHTML = '<undiscovering-element></undiscovering-element>';
+            observer.observe(scope);
+
+            await customElements.whenDefined('undiscovering-element');
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            expect(names).toEqual(['undiscovering-element']);
+
+            observer.disconnect();
+            scope.remove();
+        });
+
+        /** Tests if static dependencies are loaded along with the constructor. */
+        test('Loads static dependencies', async () =>
+        {
+            const scope    = document.createElement('div');
+            const names    = [];
+            const loader   = async ( url, { elementName } ) =>
+                             {
+                                 names.push(elementName);
+
+                                 return elementName === 'dependent-element'
+                                      ? class extends HTMLElement { static dependencies = ['Dependency-A-Element', 'dependency-b-element', 'invalid']; }
+                                      : class extends HTMLElement {};
+                             };
+            const observer = new CustomElementsLazyLoader({ loader: loader, filter: ( name ) => name === 'dependent-element' });
+
+            scope.innerHTML = '<dependent-element></dependent-element>';
+            observer.observe(scope);
+
+            await Promise.all([
+                customElements.whenDefined('dependency-a-element'),
+                customElements.whenDefined('dependency-b-element'),
+            ]);
+
+            expect(names).toEqual(['dependent-element', 'dependency-a-element', 'dependency-b-element']);
+
+            observer.disconnect();
+        });
+    });
+
+    describe('Validating element-names', () =>
+    {
+        /** Tests if strict validation implements the PotentialCustomElementName grammar. */
+        test('Validates strictly', async () =>
+        {
+            const loose  = new CustomElementsLazyLoader({ loader: resolveNull, onSkipped: () => {} });
+            const strict = new CustomElementsLazyLoader({ loader: resolveNull, onSkipped: () => {}, strictNames: true });
+
+            await expect(loose.preload('loose-$-element')).resolves.toBeUndefined();
+            await expect(strict.preload('strict-$-element')).rejects.toThrow(SyntaxError);
+            await expect(strict.preload('strict-é-element')).resolves.toBeUndefined();
+            await expect(strict.preload('strict-\u{10000}-element')).resolves.toBeUndefined();
+            await expect(strict.preload('strict element')).rejects.toThrow(SyntaxError);
+            await expect(strict.preload('font-face')).rejects.toThrow(SyntaxError);
+        });
+
+        /** Tests if is-Attributes of autonomous custom-elements are ignored with a warning. */
+        test('Ignores is-Attributes of autonomous custom-elements', () =>
+        {
+            const scope    = document.createElement('div');
+            const names    = [];
+            const warnings = [];
+            const warn     = console.warn;
+            const resolver = ( name ) => { names.push(name); return `${name}.js`; };
+            const observer = new CustomElementsLazyLoader({ urlResolver: resolver, loader: resolveNull, onSkipped: () => {} });
+
+            console.warn    = ( message ) => { warnings.push(message); };
+            scope.innerHTML = '<autonomous-is-element is="ignored-is-element"></autonomous-is-element>'
+                            + '<autonomous-is-element is="ignored-is-element"></autonomous-is-element>';
+            observer.observe(scope);
+            console.warn    = warn;
+
+            expect(names).toEqual(['autonomous-is-element']);
+            expect(warnings).toEqual(['Ignoring is-Attribute of autonomous custom-element <autonomous-is-element is="ignored-is-element">, as autonomous custom-elements cannot be customized.']);
+
+            observer.disconnect();
+        });
+
+        /** Tests if constructors of customized built-in elements are validated before definition. */
+        test('Validates extended interfaces', async () =>
+        {
+            const scope    = document.createElement('div');
+            const events   = [];
+            const loader   = async () => class extends HTMLElement {};
+            const observer = new CustomElementsLazyLoader({ loader: loader, onError: ( event ) => { events.push(event); } });
+
+            scope.innerHTML = '<button is="mismatching-button"></button>';
+            observer.observe(scope);
+
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            expect(events.length).toBe(1);
+            expect(events[0].error.cause.message).toBe(`Constructor of 'mismatching-button' does not extend HTMLButtonElement, as needed to customize <button>.`);
+            expect(customElements.get('mismatching-button')).toBeUndefined();
+
+            observer.disconnect();
+        });
+    });
+
+    describe('Limiting concurrency', () =>
+    {
+        /**
+         * Provides a loader settling manually, collecting the names loaded.
+         * @param {string[]}         names    Collects the element-names loaded
+         * @param {Array<function()>} settlers Collects the functions to settle each load
+         */
+        const manualLoader = ( names, settlers ) => ( url, context ) => new Promise(( resolve ) =>
+        {
+            names.push(context.elementName);
+            settlers.push(() => { resolve(class extends HTMLElement {}); });
+        });
+
+        const tick = () => new Promise(( resolve ) => setTimeout(resolve));
+
+        /** Tests if loads are queued and started by priority. */
+        test('Queues loads by priority', async () =>
+        {
+            const scope    = document.body.appendChild(document.createElement('div'));
+            const names    = [];
+            const settlers = [];
+            const observer = new CustomElementsLazyLoader({ loader: manualLoader(names, settlers), concurrency: 1 });
+
+            scope.innerHTML = `
+                <queue-a-element></queue-a-element>
+                <queue-b-element fetchpriority="low"></queue-b-element>
+                <queue-c-element></queue-c-element>
+                <queue-d-element fetchpriority="high"></queue-d-element>
+                <queue-e-element></queue-e-element>
+            `;
+            scope.querySelector('queue-e-element').getBoundingClientRect = () => ({ top: 0, left: 0, bottom: 100, right: 100, width: 100, height: 100 });
+            observer.observe(scope);
+
+            expect(names).toEqual(['queue-a-element']);
+
+            for (let i = 0; i < 5; i++)
+            {
+                expect(names.length).toBe(i + 1);
+                settlers[i]();
+                await tick();
+            }
+
+            expect(names).toEqual(['queue-a-element', 'queue-e-element', 'queue-d-element', 'queue-c-element', 'queue-b-element']);
+            expect(observer.stats().every(( stats ) => stats.status === 'defined')).toBe(true);
+
+            observer.disconnect();
+            scope.remove();
+        });
+
+        /** Tests if priorities are inferred once a slot is free, from all elements found until then. */
+        test('Infers priorities once a slot is free', async () =>
+        {
+            const scope    = document.body.appendChild(document.createElement('div'));
+            const names    = [];
+            const settlers = [];
+            const observer = new CustomElementsLazyLoader({ loader: manualLoader(names, settlers), concurrency: 1 });
+            let   layouts  = 0;
+
+            scope.innerHTML = '<queue-f-element></queue-f-element><queue-g-element></queue-g-element><queue-h-element></queue-h-element>';
+            observer.observe(scope);
+
+            const visible = scope.querySelector('queue-h-element');
+
+            visible.getBoundingClientRect = () => { layouts++; return { top: 0, left: 0, bottom: 100, right: 100, width: 100, height: 100 }; };
+            scope.insertAdjacentHTML('beforeend', '<queue-g-element fetchpriority="high"></queue-g-element>');
+            await tick();
+
+            expect(layouts).toBe(0);
+
+            settlers[0]();
+            await tick();
+            settlers[1]();
+            await tick();
+
+            expect(layouts).toBe(1);
+            expect(names).toEqual(['queue-f-element', 'queue-h-element', 'queue-g-element']);
+
+            settlers[2]();
+            await observer.settled();
+
+            observer.disconnect();
+            scope.remove();
+        });
+
+        /** Tests if queued loads get cancelled, once their elements got removed. */
+        test('Cancels loads of removed elements', async () =>
+        {
+            const scope    = document.body.appendChild(document.createElement('div'));
+            const names    = [];
+            const settlers = [];
+            const observer = new CustomElementsLazyLoader({ loader: manualLoader(names, settlers), concurrency: 1, states: true });
+
+            scope.innerHTML = '<queue-x-element></queue-x-element><queue-y-element></queue-y-element><queue-z-element></queue-z-element>';
+            observer.observe(scope);
+
+            const removed = scope.querySelector('queue-y-element');
+
+            removed.remove();
+            scope.querySelector('queue-z-element').remove();
+
+            const preloaded = observer.preload('queue-z-element');
+
+            settlers[0]();
+            await tick();
+
+            expect(names).toEqual(['queue-x-element', 'queue-z-element']);
+            expect(removed.hasAttribute('data-ce-loading')).toBe(false);
+            expect(observer.stats().find(( stats ) => stats.elementName === 'queue-y-element')).toMatchObject({ status: 'pending', found: 0 });
+
+            settlers[1]();
+            await preloaded;
+
+            scope.append(removed);
+            await tick();
+
+            expect(names).toEqual(['queue-x-element', 'queue-z-element', 'queue-y-element']);
+
+            settlers[2]();
+            await customElements.whenDefined('queue-y-element');
+
+            expect(observer.stats().find(( stats ) => stats.elementName === 'queue-y-element')).toMatchObject({ status: 'defined', found: 1 });
+
+            observer.disconnect();
+            scope.remove();
+        });
+    });
+
+    describe('Late is-Attributes', () =>
+    {
+        const loader = async () => class extends HTMLButtonElement {};
+        const tick   = () => new Promise(( resolve ) => setTimeout(resolve));
+
+        /** Tests if is-Attributes set or removed after creation are reported. */
+        test('Warns about late is-Attributes', async () =>
+        {
+            const scope    = document.body.appendChild(document.createElement('div'));
+            const warn     = console.warn;
+            const warnings = [];
+            const observer = new CustomElementsLazyLoader({ loader: loader, polyfill: () => { warnings.push('polyfill'); } });
+
+            console.warn = ( message ) => { warnings.push(message); };
+
+            scope.innerHTML = '<button is="late-a-element"></button><button></button>';
+            observer.observe(scope);
+
+            const [ customized, plain ] = scope.children;
+
+            await customElements.whenDefined('late-a-element');
+
+            plain.setAttribute('is', 'late-b-element');
+            customized.removeAttribute('is');
+
+            await customElements.whenDefined('late-b-element');
+            await tick();
+
+            expect(customized).toBeInstanceOf(customElements.get('late-a-element'));
+            expect(plain).not.toBeInstanceOf(customElements.get('late-b-element'));
+            expect(warnings).toEqual([
+                `Removing the is-Attribute of <button is="late-a-element"> has no effect after the element's creation. Use { lateIsAttrs: 'replace' } to replace such elements, or create them with the is-Attribute.`,
+                `Setting is="late-b-element" on <button> has no effect after the element's creation. Use { lateIsAttrs: 'replace' } to replace such elements, or create them with the is-Attribute.`,
+            ]);
+
+            console.warn = warn;
+            observer.disconnect();
+            scope.remove();
+        });
+
+        /** Tests if elements with late is-Attributes get replaced. */
+        test('Replaces elements with late is-Attributes', async () =>
+        {
+            const scope    = document.body.appendChild(document.createElement('div'));
+            const observer = new CustomElementsLazyLoader({ loader: loader, lateIsAttrs: 'replace' });
+
+            scope.innerHTML = '<button is="late-c-element">C</button><button data-x="x"><b>D</b></button>';
+            observer.observe(scope);
+
+            const [ customized, plain ] = scope.children;
+
+            await customElements.whenDefined('late-c-element');
+
+            plain.setAttribute('is', 'late-d-element');
+            customized.removeAttribute('is');
+
+            await customElements.whenDefined('late-d-element');
+            await tick();
+
+            const [ uncustomized, replaced ] = scope.children;
+
+            expect(customized.isConnected || plain.isConnected).toBe(false);
+            expect(uncustomized).not.toBeInstanceOf(customElements.get('late-c-element'));
+            expect(uncustomized.outerHTML).toBe('<button>C</button>');
+            expect(replaced).toBeInstanceOf(customElements.get('late-d-element'));
+            expect(replaced.outerHTML).toBe('<button data-x="x" is="late-d-element"><b>D</b></button>');
+
+            observer.disconnect();
+            scope.remove();
+        });
+
+        /** Tests if is-Attributes naming custom-elements already defined are reported. */
+        test('Warns about late is-Attributes of defined elements', async () =>
+        {
+            const scope    = document.body.appendChild(document.createElement('div'));
+            const warn     = console.warn;
+            const warnings = [];
+            const observer = new CustomElementsLazyLoader({ loader: loader });
+
+            console.warn = ( message ) => { warnings.push(message); };
+
+            try
+            {
+                scope.innerHTML = '<button is="late-e-element"></button><button></button>';
+                observer.observe(scope);
+
+                const plain = scope.children[1];
+
+                await customElements.whenDefined('late-e-element');
+
+                plain.setAttribute('is', 'late-e-element');
+                await tick();
+
+                expect(plain).not.toBeInstanceOf(customElements.get('late-e-element'));
+                expect(warnings).toEqual([
+                    `Setting is="late-e-element" on <button> has no effect after the element's creation. Use { lateIsAttrs: 'replace' } to replace such elements, or create them with the is-Attribute.`,
+                ]);
+            }
+            finally
+            {
+                console.warn = warn;
+                observer.disconnect();
+                scope.remove();
+            }
+        });
+
+        /** Tests if elements with late is-Attributes naming custom-elements already defined get replaced. */
+        test('Replaces elements with late is-Attributes of defined elements', async () =>
+        {
+            const scope    = document.body.appendChild(document.createElement('div'));
+            const observer = new CustomElementsLazyLoader({ loader: loader, lateIsAttrs: 'replace' });
+
+            scope.innerHTML = '<button is="late-f-element"></button><button>F</button>';
+            observer.observe(scope);
+
+            const plain = scope.children[1];
+
+            await customElements.whenDefined('late-f-element');
+
+            plain.setAttribute('is', 'late-f-element');
+            await tick();
+
+            const replaced = scope.children[1];
+
+            expect(plain.isConnected).toBe(false);
+            expect(replaced).toBeInstanceOf(customElements.get('late-f-element'));
+            expect(replaced.outerHTML).toBe('<button is="late-f-element">F</button>');
+
+            observer.disconnect();
+            scope.remove();
+        });
+    });
+
+    describe('Hot reloading', () =>
+    {
+        /**
+         * Provides a loader returning a new version of the constructor for each load.
+         * @param {string[]} urls Collects the URLs loaded
+         */
+        const versionedLoader = ( urls ) => async ( url ) =>
+        {
+            const version = urls.push('' + url);
+
+            return class extends HTMLElement
+            {
+                static version = version;
+                connectedCallback() { this.connected = (this.connected || 0) + 1; }
+                greet() { return `v${version}`; }
+            };
+        };
+
+        /** Tests if defined constructors are patched and instances reconnected. */
+        test('Reloads defined custom-elements', async () =>
+        {
+            const scope    = document.body.appendChild(document.createElement('div'));
+            const urls     = [];
+            const observer = new CustomElementsLazyLoader({ loader: versionedLoader(urls) });
+
+            scope.innerHTML = '<hot-x-element></hot-x-element>';
+            observer.observe(scope);
+
+            await customElements.whenDefined('hot-x-element');
+
+            const element = scope.firstElementChild;
+            const ctor    = customElements.get('hot-x-element');
+
+            expect(element.greet()).toBe('v1');
+            expect(element.connected).toBe(1);
+
+            await observer.reload(['hot-x-element', 'hot-undefined-element']);
+
+            expect(urls.length).toBe(2);
+            expect(urls[1]).toMatch(/^http:\/\/localhost\/js\/hot-x-element-element\.js\?hot-reload=\d+$/);
+            expect(customElements.get('hot-x-element')).toBe(ctor);
+            expect(ctor.version).toBe(2);
+            expect(element.greet()).toBe('v2');
+            expect(element.connected).toBe(2);
+
+            observer.disconnect();
+            scope.remove();
+        });
+
+        /** Tests if file-change notifications trigger reloading the affected custom-elements. */
+        test('Reloads on notifications', async () =>
+        {
+            const scope    = document.body.appendChild(document.createElement('div'));
+            const urls     = [];
+            const source   = new EventTarget();
+            const observer = new CustomElementsLazyLoader({ loader: versionedLoader(urls), hotReload: source });
+
+            scope.innerHTML = '<hot-y-element></hot-y-element><hot-z-element></hot-z-element>';
+            observer.observe(scope);
+
+            await Promise.all([ customElements.whenDefined('hot-y-element'), customElements.whenDefined('hot-z-element') ]);
+
+            source.dispatchEvent(new MessageEvent('message', { data: JSON.stringify({ file: '/js/hot-y-element-element.js' }) }));
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            expect(urls.length).toBe(3);
+            expect(scope.firstElementChild.greet()).toBe('v3');
+            expect(scope.lastElementChild.greet()).toBe('v2');
+
+            expect(() => { new CustomElementsLazyLoader({ hotReload: 42 }); }).toThrow(TypeError);
+
+            observer.disconnect();
+            scope.remove();
+        });
+
+        /** Tests if modules defining their custom-elements themselves get reloaded, instead of failing to define them again. */
+        test('Reloads self-defining modules', async () =>
+        {
+            const scope    = document.body.appendChild(document.createElement('div'));
+            const urls     = [];
+            const load     = versionedLoader(urls);
+            const loader   = async ( url ) =>
+                             {
+                                 const ctor = await load(url);
+
+                                 customElements.define('hot-self-element', ctor);
+
+                                 return ctor;
+                             };
+            const observer = new CustomElementsLazyLoader({ loader: loader });
+
+            scope.innerHTML = '<hot-self-element></hot-self-element>';
+            observer.observe(scope);
+
+            await observer.settled();
+            await observer.reload('hot-self-element');
+
+            expect(scope.firstElementChild.greet()).toBe('v2');
+            expect(Object.hasOwn(customElements, 'define')).toBe(false);
+            expect(() => { customElements.define('hot-self-element', class extends HTMLElement {}); }).toThrow();
+
+            observer.disconnect();
+            scope.remove();
+        });
+
+        /** Tests if connections opened for notifications are closed by disconnecting. */
+        test('Closes notification sources on disconnect', async () =>
+        {
+            const WebSocket = window.WebSocket;
+            const sockets   = [];
+
+            window.WebSocket = class extends EventTarget
+            {
+                constructor( url ) { super(); this.url = '' + url; this.closed = false; sockets.push(this); }
+                close() { this.closed = true; }
+            };
+
+            try
+            {
+                const observer = new CustomElementsLazyLoader({ hotReload: 'ws://localhost/changes' });
+
+                expect(sockets.length).toBe(0);
+
+                observer.observe(document.createElement('div'));
+                observer.observe(document.createElement('div'));
+
+                expect(sockets).toMatchObject([{ url: 'ws://localhost/changes', closed: false }]);
+
+                observer.disconnect();
+
+                expect(sockets[0].closed).toBe(true);
+
+                observer.observe(document.createElement('div'));
+
+                expect(sockets.length).toBe(2);
+
+                observer.disconnect();
+            }
+            finally
+            {
+                window.WebSocket = WebSocket;
+            }
+        });
+    });
+
+    describe('Unobserving targets', () =>
+    {
+        /** Tests if a single target stops being observed, while others keep working. */
+        test('Unobserves a single target', async () =>
+        {
+            const scopeA   = document.createElement('div');
+            const scopeB   = document.createElement('div');
+            const names    = [];
+            const resolver = ( name ) => { names.push(name); return `${name}.js`; };
+            const observer = new CustomElementsLazyLoader({ urlResolver: resolver, loader: resolveNull, onSkipped: () => {} });
+
+            observer.observe(scopeA);
+            observer.observe(scopeB);
+
+            // Records pending while unobserving are handled for the remaining targets only
+            scopeA.append(document.createElement('unobserved-a-element'));
+            scopeB.append(document.createElement('unobserved-b-element'));
+            observer.unobserve(scopeA);
+
+            expect(names).toEqual(['unobserved-b-element']);
+
+            scopeA.append(document.createElement('unobserved-c-element'));
+            scopeB.append(document.createElement('unobserved-d-element'));
+            await Promise.resolve();
+
+            expect(names).toEqual(['unobserved-b-element', 'unobserved-d-element']);
+
+            // Unobserving again or unknown targets has no effect
+            expect(() => { observer.unobserve(scopeA); }).not.toThrow();
+
+            observer.disconnect();
+        });
+
+        /** Tests if observing a target again with the same options has no effect. */
+        test('Observes idempotently', () =>
+        {
+            const scope    = document.createElement('div');
+            let   scans    = 0;
+            const filter   = ( name ) => { scans++; return false; };
+            const observer = new CustomElementsLazyLoader({ filter: filter });
+
+            scope.innerHTML = '<idempotent-x-element></idempotent-x-element>';
+            observer.observe(scope);
+
+            // Clears the cached filter results, so scanning again would call the filter again
+            observer.setFilter(filter);
+            observer.observe(scope, { scan: true, subtree: true });
+
+            expect(scans).toBe(1);
+
+            observer.disconnect();
+        });
+    });
+
+    describe('Scoped registries', () =>
+    {
+        const loader = async ( url ) => { const ctor = class extends HTMLElement {}; ctor.url = '' + url; return ctor; };
+
+        /** Tests if the configured registry is used instead of the global one. */
+        test('Defines at the configured registry', async () =>
+        {
+            const scope    = document.createElement('div');
+            const registry = new ScopedRegistry();
+            const events   = [];
+            const observer = new CustomElementsLazyLoader({ loader: loader, registry: registry, onDefined: ( event ) => { events.push(event); } });
+
+            scope.innerHTML = '<scoped-x-element></scoped-x-element>';
+            observer.observe(scope);
+
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            expect(events.length).toBe(1);
+            expect(registry.get('scoped-x-element').url).toBe('http://localhost/js/scoped-x-element-element.js');
+            expect(customElements.get('scoped-x-element')).toBeUndefined();
+
+            observer.disconnect();
+        });
+
+        /** Tests if the same name may be defined in different scopes by different loaders. */
+        test('Defines per observed target', async () =>
+        {
+            const scopeA    = document.createElement('div');
+            const scopeB    = document.createElement('div');
+            const registryA = new ScopedRegistry();
+            const registryB = new ScopedRegistry();
+            const observerA = new CustomElementsLazyLoader({ loader: loader, urlResolver: ( name ) => `/a/${name}.js` });
+            const observerB = new CustomElementsLazyLoader({ loader: loader, urlResolver: ( name ) => `/b/${name}.js` });
+
+            observerA.observe(scopeA, { registry: registryA });
+            observerB.observe(scopeB, { registry: registryB });
+
+            scopeA.append(document.createElement('scoped-y-element'));
+            scopeB.append(document.createElement('scoped-y-element'));
+
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            expect(registryA.get('scoped-y-element').url).toBe('http://localhost/a/scoped-y-element.js');
+            expect(registryB.get('scoped-y-element').url).toBe('http://localhost/b/scoped-y-element.js');
+            expect(customElements.get('scoped-y-element')).toBeUndefined();
+
+            observerA.disconnect();
+            observerB.disconnect();
+        });
+
+        /** Tests if the same name deferred until idle gets defined at each registry. */
+        test('Defers per registry until idle', async () =>
+        {
+            const scopeA    = document.createElement('div');
+            const scopeB    = document.createElement('div');
+            const registryA = new ScopedRegistry();
+            const registryB = new ScopedRegistry();
+            const observer  = new CustomElementsLazyLoader({ loader: loader, loading: 'idle' });
+
+            scopeA.innerHTML = '<scoped-idle-element></scoped-idle-element>';
+            scopeB.innerHTML = '<scoped-idle-element></scoped-idle-element>';
+            observer.observe(scopeA, { registry: registryA });
+            observer.observe(scopeB, { registry: registryB });
+
+            for (let i = 0; i < 5 && !registryB.get('scoped-idle-element'); i++) { await new Promise(( resolve ) => setTimeout(resolve)); }
+
+            expect(registryA.get('scoped-idle-element')).toBeDefined();
+            expect(registryB.get('scoped-idle-element')).toBeDefined();
+            expect(observer.stats().map(( stats ) => stats.status)).toEqual(['defined', 'defined']);
+
+            observer.disconnect();
+        });
+
+        /** Tests if the shadow root's own registry is used automatically. */
+        test('Defines at the shadow root\'s registry', async () =>
+        {
+            const scope      = document.createElement('div');
+            const registry   = new ScopedRegistry();
+            const observer   = new CustomElementsLazyLoader({ loader: loader });
+            const shadowRoot = scope.appendChild(document.createElement('div')).attachShadow({ mode: 'open' });
+
+            Object.defineProperty(shadowRoot, 'customElements', { value: registry });
+            shadowRoot.innerHTML = '<scoped-z-element></scoped-z-element>';
+
+            observer.observe(scope, { shadow: true });
+
+            await new Promise(( resolve ) => setTimeout(resolve));
+
+            expect(registry.get('scoped-z-element')).toBeDefined();
+            expect(customElements.get('scoped-z-element')).toBeUndefined();
+
+            observer.disconnect();
+        });
+    });
+});
@@ -0,0 +1,115 @@
+import createManifestResolver from "../src/custom-elements-manifest-resolver.mjs";
+import CustomElementsLazyLoader from "../src/custom-elements-lazy-loader.mjs";
+
+describe('createManifestResolver Tests', () =>
+{
+    const manifest = {
+        baseUrl : 'http://cdn.tld/assets/',
+        elements: {
+            'x-card'     : 'x-card.3f2a.js',
+            'x-tab-group': { url: 'tabs.1b2c.js', export: 'TabGroup' },
+            'acme-*'     : 'acme.9e8d.js',
+            'acme-icon-*': 'icons/{name}.js',
+            '*-widget'   : 'widgets.4d5e.js',
+        },
+    };
+
+    /** Tests if invalid manifests are rejected. */
+    test('Validates the manifest', () =>
+    {
+        expect(() => { createManifestResolver(manifest); }).not.toThrow();
+        expect(() => { createManifestResolver({ 'x-card': 'x-card.js' }); }).not.toThrow();
+        expect(() => { createManifestResolver(null); }).toThrow(TypeError);
+        expect(() => { createManifestResolver({ 'x-card': 42 }); }).toThrow(TypeError);
+        expect(() => { createManifestResolver({ 'x-card': { url: 'x-card.js', export: 42 } }); }).toThrow(TypeError);
+        expect(() => { createManifestResolver({ 'x-card': { url: 'x-card.js', version: {} } }); }).toThrow(TypeError);
+        expect(() => { createManifestResolver({ 'x-card': { url: 'x-card.js', type: 'amd' } }); }).toThrow(TypeError);
+    });
+
+    /** Tests if exact element-names resolve to their URL and named export. */
+    test('Resolves exact names and named exports', () =>
+    {
+        const resolve = createManifestResolver(manifest);
+
+        expect(resolve('x-card')).toEqual(new URL('http://cdn.tld/assets/x-card.3f2a.js'));
+        expect(resolve('x-tab-group')).toEqual({ url: new URL('http://cdn.tld/assets/tabs.1b2c.js'), export: 'TabGroup' });
+        expect(resolve('x-unknown')).toBeNull();
+        expect(createManifestResolver({ 'x-card': { url: '/x-card.js', version: 2 } })('x-card')).toEqual({ url: new URL('http://localhost/x-card.js'), version: '2' });
+        expect(createManifestResolver({ 'x-card': { url: '/x-card.js', type: 'script' } })('x-card')).toEqual({ url: new URL('http://localhost/x-card.js'), type: 'script' });
+    });
+
+    /** Tests if named exports sharing a module get resolved as a single module. */
+    test('Groups named exports sharing a module', () =>
+    {
+        const resolve = createManifestResolver({
+            'x-tab-group': { url: '/js/tabs.js', export: 'TabGroup' },
+            'x-tab-panel': { url: '/js/tabs.js', export: 'TabPanel' },
+        });
+
+        expect(resolve('x-tab-panel')).toEqual({
+            url    : new URL('http://localhost/js/tabs.js'),
+            export : 'TabPanel',
+            exports: { 'x-tab-group': 'TabGroup', 'x-tab-panel': 'TabPanel' },
+        });
+    });
+
+    /** Tests if the most specific pattern matching an element-name is used. */
+    test('Resolves patterns by specificity', () =>
+    {
+        const resolve = createManifestResolver(manifest);
+
+        expect(resolve('acme-button')).toEqual(new URL('http://cdn.tld/assets/acme.9e8d.js'));
+        expect(resolve('acme-icon-star')).toEqual(new URL('http://cdn.tld/assets/icons/acme-icon-star.js'));
+        expect(resolve('x-weather-widget')).toEqual(new URL('http://cdn.tld/assets/widgets.4d5e.js'));
+    });
+
+    /** Tests if URLs get resolved relative to the provided base URL. */
+    test('Resolves relative to the provided base URL', () =>
+    {
+        const resolve = createManifestResolver({ 'x-card': 'x-card.js' }, { baseUrl: '/js/' });
+
+        expect(resolve('x-card')).toEqual(new URL('http://localhost/js/x-card.js'));
+    });
+
+    /** Tests if the manifest gets loaded from its URL once. */
+    test('Loads the manifest from URL', async () =>
+    {
+        const fetch = globalThis.fetch;
+        const urls  = [];
+
+        globalThis.fetch = async ( url ) => { urls.push('' + url); return { ok: true, json: async () => ({ 'x-card': 'x-card.js' }) }; };
+
+        const resolve = createManifestResolver('/assets/manifest.json');
+
+        expect(await resolve('x-card')).toEqual(new URL('http://localhost/assets/x-card.js'));
+        expect(await resolve('x-other')).toBeNull();
+        expect(urls).toEqual(['http://localhost/assets/manifest.json']);
+
+        globalThis.fetch = async () => ({ ok: false, status: 404 });
+
+        await expect(createManifestResolver('/missing.json')('x-card')).rejects.toThrow(`Error loading custom-elements manifest from 'http://localhost/missing.json'.`);
+
+        globalThis.fetch = fetch;
+    });
+
+    /** Tests if the resolver works as urlResolver of the loader. */
+    test('Resolves through the loader pipeline', async () =>
+    {
+        const scope    = document.createElement('div');
+        const contexts = [];
+        const loader   = async ( url, context ) => { contexts.push({ url: '' + url, ...context }); return class extends HTMLElement {}; };
+        const observer = new CustomElementsLazyLoader({
+            urlResolver: createManifestResolver({ 'manifest-tab-group': { url: '/js/tabs.js', export: 'TabGroup' } }),
+            loader     : loader,
+        });
+
+        scope.innerHTML = '<manifest-tab-group></manifest-tab-group>';
+        observer.observe(scope);
+
+        await customElements.whenDefined('manifest-tab-group');
+
+        expect(contexts).toEqual([{ url: 'http://localhost/js/tabs.js', elementName: 'manifest-tab-group', export: 'TabGroup', exports: undefined, registry: customElements, attempt: 1 }]);
+
+        observer.disconnect();
+    });
+});
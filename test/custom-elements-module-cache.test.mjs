@@ -0,0 +1,164 @@
+import createCachingResolver, { createModuleCacheHandler } from "../src/custom-elements-module-cache.mjs";
+import createManifestResolver from "../src/custom-elements-manifest-resolver.mjs";
+import CustomElementsLazyLoader from "../src/custom-elements-lazy-loader.mjs";
+
+describe('createCachingResolver Tests', () =>
+{
+    /** Tests if invalid options are rejected. */
+    test('Validates the options', () =>
+    {
+        expect(() => { createCachingResolver(() => null); }).not.toThrow();
+        expect(() => { createCachingResolver(new Map(), { version: '1.0.0' }); }).not.toThrow();
+        expect(() => { createCachingResolver('invalid'); }).toThrow(TypeError);
+        expect(() => { createCachingResolver(null); }).toThrow(TypeError);
+        expect(() => { createCachingResolver(() => null, { version: 42 }); }).toThrow(TypeError);
+    });
+
+    /** Tests if resolved module URLs get tagged by element-name and version. */
+    test('Tags module URLs by element-name and version', async () =>
+    {
+        const original = { url: '/js/x-other.js', export: 'Other' };
+        const resolver = createCachingResolver(( name ) =>
+                         {
+                             if (name === 'x-card')  { return '/js/x-card.js'; }
+                             if (name === 'x-tabs')  { return Promise.resolve([{ url: '/js/x-tabs.js?a=b', version: '3f2a' }, '/js/fallback.js']); }
+                             if (name === 'x-other') { return original; }
+
+                             return null;
+                         }, { version: ( name ) => name === 'x-card' ? '2' : null });
+
+        expect('' + resolver('x-card')).toBe('http://localhost/js/x-card.js?custom-element=x-card&custom-element-version=2');
+        expect((await resolver('x-tabs')).map(( module ) => '' + (module.url || module))).toEqual([
+            'http://localhost/js/x-tabs.js?a=b&custom-element=x-tabs&custom-element-version=3f2a',
+            '/js/fallback.js',
+        ]);
+        expect(resolver('x-other')).toBe(original);
+        expect(resolver('x-unknown')).toBe(null);
+    });
+
+    /** Tests if the version provided by the manifest takes precedence. */
+    test('Takes the version from the manifest', async () =>
+    {
+        const scope    = document.createElement('div');
+        const urls     = [];
+        const observer = new CustomElementsLazyLoader({
+            urlResolver: createCachingResolver(createManifestResolver({ 'cached-card': { url: '/js/card.js', version: 7 } })),
+            loader     : async ( url ) => { urls.push('' + url); return class extends HTMLElement {}; },
+            policy     : { integrity: { 'cached-card': 'sha384-abc' } },
+        });
+
+        scope.innerHTML = '<cached-card></cached-card>';
+        observer.observe(scope);
+
+        await customElements.whenDefined('cached-card');
+
+        const links = [...document.head.querySelectorAll('link[rel="modulepreload"]')].map(( link ) => link.href);
+
+        expect(urls).toEqual(['http://localhost/js/card.js?custom-element=cached-card&custom-element-version=7']);
+        expect(links).toContain(urls[0]);
+
+        observer.disconnect();
+    });
+});
+
+describe('createModuleCacheHandler Tests', () =>
+{
+    /**
+     * Provides a cache and a network, recording the requests fetched.
+     * @param {Object<string,string>} entries Cached bodies by URL
+     */
+    const mockCaches = ( entries ) =>
+    {
+        const network  = { requests: [], ok: true };
+        const response = ( body, ok = true ) => ({ body: body, ok: ok, clone() { return response(body, ok); } });
+        const cache    = {
+                             entries: new Map(Object.entries(entries).map(( [ url, body ] ) => [url, response(body)])),
+                             async match( request ) { return this.entries.get(request.url); },
+                             async put( request, response ) { this.entries.set(request.url, response); },
+                             async keys() { return [...this.entries.keys()].map(( url ) => ({ url: url })); },
+                             async delete( request ) { return this.entries.delete(request.url); },
+                         };
+
+        globalThis.caches = { open: async () => cache };
+        globalThis.fetch  = async ( request ) => { network.requests.push(request.url); return response(`fetched ${request.url}`, network.ok); };
+
+        return { cache, network };
+    };
+
+    /**
+     * Dispatches a fetch event to the `handler`.
+     * @return {Promise<{ handled: boolean, response: Object, waiting: Promise[] }>}
+     */
+    const dispatch = async ( handler, url, method = 'GET' ) =>
+    {
+        const event   = {
+                            request: { url: url, method: method },
+                            waiting: [],
+                            respondWith( response ) { this.response = response; },
+                            waitUntil( promise ) { this.waiting.push(promise); },
+                        };
+        const handled = handler(event);
+
+        return { handled: handled, response: await event.response, waiting: event.waiting };
+    };
+
+    const fetch  = globalThis.fetch;
+    const tagged = ( version ) => `http://localhost/js/card.js?custom-element=x-card&custom-element-version=${version}`;
+
+    afterEach(() =>
+    {
+        globalThis.fetch = fetch;
+        delete globalThis.caches;
+    });
+
+    /** Tests if requests not tagged are left to the network. */
+    test('Ignores untagged requests', async () =>
+    {
+        const handler = createModuleCacheHandler();
+
+        mockCaches({});
+
+        expect((await dispatch(handler, 'http://localhost/js/card.js')).handled).toBe(false);
+        expect((await dispatch(handler, tagged(1), 'POST')).handled).toBe(false);
+    });
+
+    /** Tests if cached modules are served right away and revalidated in the background. */
+    test('Serves cached modules and revalidates them in the background', async () =>
+    {
+        const { cache, network } = mockCaches({ [tagged(1)]: 'cached' });
+        const handler            = createModuleCacheHandler({ cacheName: 'modules' });
+        const { handled, response, waiting } = await dispatch(handler, tagged(1));
+
+        expect(handled).toBe(true);
+        expect(response.body).toBe('cached');
+        expect(waiting.length).toBe(1);
+
+        await Promise.all(waiting);
+
+        expect(network.requests).toEqual([tagged(1)]);
+        expect(cache.entries.get(tagged(1)).body).toBe(`fetched ${tagged(1)}`);
+
+        network.ok = false;
+
+        await Promise.all((await dispatch(handler, tagged(1))).waiting);
+
+        expect(cache.entries.get(tagged(1)).body).toBe(`fetched ${tagged(1)}`);
+    });
+
+    /** Tests if new versions get cached and other versions of the same custom-element deleted. */
+    test('Caches new versions and invalidates stale ones', async () =>
+    {
+        const { cache, network } = mockCaches({ [tagged(1)]: 'cached', 'http://localhost/js/other.js?custom-element=x-other&custom-element-version=1': 'other' });
+        const handler            = createModuleCacheHandler();
+        const { response }       = await dispatch(handler, tagged(2));
+
+        expect(response.body).toBe(`fetched ${tagged(2)}`);
+        expect(network.requests).toEqual([tagged(2)]);
+        expect([...cache.entries.keys()]).toEqual(['http://localhost/js/other.js?custom-element=x-other&custom-element-version=1', tagged(2)]);
+
+        network.ok = false;
+
+        expect((await dispatch(handler, tagged(3))).response.ok).toBe(false);
+        expect(cache.entries.has(tagged(3))).toBe(false);
+    });
+});
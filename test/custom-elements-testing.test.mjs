@@ -0,0 +1,117 @@
+import { createMockLoader, createTestRegistry, flush } from "../src/custom-elements-testing.mjs";
+import CustomElementsLazyLoader from "../src/custom-elements-lazy-loader.mjs";
+
+describe('custom-elements-testing Tests', () =>
+{
+    const registry = createTestRegistry();
+
+    afterEach(() => { registry.reset(); });
+
+    /** Tests if invalid options are rejected. */
+    test('Validates the options', () =>
+    {
+        expect(() => { createMockLoader(); }).not.toThrow();
+        expect(() => { createMockLoader({ constructors: 'invalid' }); }).toThrow(TypeError);
+        expect(() => { createMockLoader({ delay: -1 }); }).toThrow(TypeError);
+    });
+
+    /** Tests if loads are recorded, providing stubs unless constructors, skips or errors are provided. */
+    test('Records loads and provides stubs', async () =>
+    {
+        const error    = new Error('Failed');
+        const loader   = createMockLoader({ constructors: { 'mock-skipped': null, 'mock-failed': error }, delay: 5 });
+        const scope    = document.createElement('div');
+        const observer = new CustomElementsLazyLoader({ loader: loader, registry: registry, onSkipped: () => {}, onError: () => {} });
+
+        scope.innerHTML = '<mock-card></mock-card><mock-skipped></mock-skipped><mock-failed></mock-failed>';
+        observer.observe(scope);
+
+        await flush(observer);
+
+        expect(loader.urls).toEqual(['http://localhost/js/mock-card-element.js', 'http://localhost/js/mock-skipped-element.js', 'http://localhost/js/mock-failed-element.js']);
+        expect(loader.calls[0].elementName).toBe('mock-card');
+        expect(registry.names).toEqual(['mock-card']);
+        expect(registry.get('mock-card').elementName).toBe('mock-card');
+        expect(observer.stats().map(( stats ) => stats.status)).toEqual(['defined', 'skipped', 'failed']);
+
+        loader.reset();
+
+        expect(loader.urls).toEqual([]);
+
+        observer.disconnect();
+    });
+
+    /** Tests if modules providing multiple custom-elements get a stub per export. */
+    test('Provides a stub per export', async () =>
+    {
+        const loader   = createMockLoader({ constructors: { 'mock-tab': null } });
+        const resolver = () => ({ url: '/js/mock-tabs.js', exports: { 'mock-tabs': 'Tabs', 'mock-tab': 'Tab', 'mock-panel': 'Panel' } });
+        const scope    = document.createElement('div');
+        const observer = new CustomElementsLazyLoader({ loader: loader, urlResolver: resolver, registry: registry, onError: () => {} });
+
+        scope.innerHTML = '<mock-tabs><mock-panel></mock-panel></mock-tabs>';
+        observer.observe(scope);
+
+        await flush(observer);
+
+        expect(loader.urls).toEqual(['http://localhost/js/mock-tabs.js']);
+        expect(registry.names).toEqual(['mock-panel', 'mock-tabs']);
+        expect(registry.get('mock-panel').elementName).toBe('mock-panel');
+        expect(registry.get('mock-tabs').elementName).toBe('mock-tabs');
+
+        observer.disconnect();
+    });
+
+    /** Tests if flushing awaits mutations not yet delivered, discovered and queued loads. */
+    test('Flushes mutations, discovery and queued loads', async () =>
+    {
+        const loader   = createMockLoader({ delay: 5 });
+        const scope    = document.createElement('div');
+        const observer = new CustomElementsLazyLoader({ loader: loader, registry: registry, discover: true, concurrency: 1 });
+
+        observer.observe(scope);
+        scope.innerHTML = '<mock-outer><mock-inner></mock-inner></mock-outer><mock-other></mock-other>';
+
+        // Mutations not yet delivered get handled right away, queued loads get awaited one after another.
+        await flush(observer);
+
+        expect(registry.names).toEqual(['mock-outer', 'mock-inner', 'mock-other']);
+        expect(observer.stats().every(( stats ) => stats.status === 'defined')).toBe(true);
+
+        observer.disconnect();
+    });
+
+    /** Tests if definitions are isolated from the global registry. */
+    test('Isolates definitions', async () =>
+    {
+        expect(registry.names).toEqual([]);
+        expect(registry.get('mock-card')).toBeUndefined();
+
+        const defined = registry.whenDefined('mock-card');
+        const ctor    = class extends HTMLElement {};
+
+        registry.define('mock-card', ctor);
+
+        expect(await defined).toBe(ctor);
+        expect(registry.getName(ctor)).toBe('mock-card');
+        expect(() => { registry.define('mock-card', ctor); }).toThrow(DOMException);
+        expect(customElements.get('mock-card')).toBeUndefined();
+    });
+
+    /** Tests if resetting drops the promises of whenDefined() still waiting. */
+    test('Drops waiting promises on reset', async () =>
+    {
+        const waiting = registry.whenDefined('mock-card');
+        const ctor    = class extends HTMLElement {};
+
+        registry.reset();
+
+        const defined = registry.whenDefined('mock-card');
+
+        expect(defined).not.toBe(waiting);
+
+        registry.define('mock-card', ctor);
+
+        expect(await defined).toBe(ctor);
+    });
+});